@@ -4,11 +4,22 @@ import Parse from 'parse/node';
 import logger from '../../../logger.js';
 import _ from 'lodash';
 import OracleStorageAdapter from './OracleStorageAdapter';
+import {
+  quoteIdentifier,
+  jsonPath,
+  caseInsensitiveSQL,
+  hasTextSearch,
+  textScoreSQL,
+  transformWhereToSQL,
+  transformUpdateToSQL,
+  transformPipelineToSQL,
+} from './OracleSQL';
+import { translateError } from './OracleErrors';
 
 const oracledb = require('oracledb');
-oracledb.autoCommit = true;
-const Collection = oracledb.SodaCollection;
-const SodaDB = oracledb.SodaDB;
+const crypto = require('crypto');
+// autoCommit stays off so a transactional session can span several SODA operations.
+// Connections that are not pinned by a session are committed in _closeConnection
 
 const DB_VERSION = process.env.ORACLEDB_VERSION;
 const ddlTimeOut = `
@@ -18,9 +29,66 @@ BEGIN
     ');
 END;`;
 
+// Connections with a call interrupted by callTimeout, they are dropped instead of released
+const timedOutConnections = new WeakSet();
+
+// Parse read preferences that allow a read from the standby pool
+const standbyReadPreferences = ['SECONDARY', 'SECONDARY_PREFERRED', 'NEAREST'];
+
+// The JSON path of an index expression,
+// JSON_VALUE("JSON_DOCUMENT" FORMAT OSON , '$.username' RETURNING ...) is username
+const indexExpressionPath = expression => {
+  const path = typeof expression === 'string' && expression.match(/'\$([^']*)'/);
+  return path ? path[1].replace(/"/g, '').replace(/^\./, '') : null;
+};
+
+// Expiry policies of TTL indexes are DBMS_SCHEDULER jobs that delete expired documents
+// every minute in batches, so the purge runs whether or not a server is up
+const expiryJobPrefix = 'PARSE_TTL_';
+const expiryBatchSize = 1000;
+const expiryInterval = 'FREQ=MINUTELY;INTERVAL=1';
+
+// Queries with predicates QBE has no operator for are run in SQL
+const needsSQL = query => /"\$(containedBy|text)"/.test(JSON.stringify(query));
+
+// Preferences of the JSON search indexes. With base letters in the lexer a search ignores
+// diacritics, and the wordlist stems English words for a $language of english
+const textLexer = 'PARSE_TEXT_LEXER';
+const textWordlist = 'PARSE_TEXT_WORDLIST';
+
+// An index { name: { field: 'text' } } for $text searches
+const isTextIndex = item => Object.values(Object.values(item)[0]).includes('text');
+
+// The document an upsert inserts when nothing matched, the update operators
+// are applied to fields that do not exist yet
+const documentFromUpdate = update => {
+  const document = {};
+  Object.keys(update).forEach(item => {
+    const value = update[item];
+    switch (item) {
+      case '$unset':
+      case '$pullAll':
+        // Nothing to remove from, the field stays missing as when an update matches
+        break;
+      case '$inc':
+        Object.keys(value).forEach(field => _.set(document, field, value[field]));
+        break;
+      case '$push':
+        Object.keys(value).forEach(field => _.set(document, field, value[field].$each));
+        break;
+      case '$addToSet':
+        Object.keys(value).forEach(field =>
+          _.set(document, field, _.uniqWith(value[field].$each, _.isEqual))
+        );
+        break;
+      default:
+        document[item] = value;
+    }
+  });
+  return document;
+};
+
 export default class OracleCollection {
-  _oracleSodaDB: SodaDB;
-  _oracleCollection: Collection;
   _oracleStorageAdapter: OracleStorageAdapter;
   _name: string;
   indexes = new Array();
@@ -30,7 +98,6 @@ export default class OracleCollection {
   constructor(oracleStorageAdapter: OracleStorageAdapter, collectionName: String) {
     this._oracleStorageAdapter = oracleStorageAdapter;
     this._name = collectionName;
-    this._oracleCollection = undefined;
     logger.verbose('Oracle Database Version = ' + DB_VERSION);
     // To support backwards compatibility with instant clients
     if (typeof DB_VERSION !== 'undefined' && DB_VERSION !== '23') {
@@ -38,7 +105,59 @@ export default class OracleCollection {
     }
   }
 
-  async getCollectionConnection() {
+  // Reads whose readPreference allows a secondary use the standby pool when the adapter
+  // has one. If the standby cannot serve the collection the primary pool is used instead
+  async getCollectionConnection(transactionalSession, readPreference) {
+    if (!transactionalSession && standbyReadPreferences.includes(readPreference)) {
+      try {
+        const readPool = this._oracleStorageAdapter.connectRead();
+        if (readPool) {
+          return await this._openCollection(readPool);
+        }
+      } catch (error) {
+        logger.error('getCollectionConnection standby unavailable, using primary: ' + error);
+      }
+    }
+    return this._openCollection(this._oracleStorageAdapter.connect(), transactionalSession);
+  }
+
+  // Opens the collection on a connection from the pool, or on the connection of the
+  // transactional session, and resolves to both. A SODA collection handle belongs to the
+  // connection it was opened on, so it is passed along with it and never kept on the
+  // instance, which all requests for the class share
+  async _openCollection(poolPromise, transactionalSession) {
+    logger.verbose('getCollectionConnection about to connect for collection ' + this._name);
+    let localConn;
+    return poolPromise
+      .then(async p => {
+        if (transactionalSession) {
+          logger.verbose('getCollectionConnection using transactional session connection');
+          localConn = transactionalSession.connection;
+        } else {
+          logger.verbose('getCollectionConnection about to get connection from pool ');
+          logger.verbose('  statistics: ' + JSON.stringify(p.getStatistics()));
+          localConn = await p.getConnection();
+        }
+        logger.verbose('getCollectionConnection open collection for  ' + this._name);
+        const sodadb = localConn.getSodaDatabase();
+        let collection = await sodadb.openCollection(this._name);
+        if (!collection) {
+          await this._createCollection(p);
+          collection = await sodadb.openCollection(this._name);
+        }
+        return { conn: localConn, collection };
+      })
+      .catch(async error => {
+        logger.error('getCollectionConnection ERROR:  ' + error);
+        await this._closeConnection(localConn, transactionalSession);
+        throw error;
+      });
+  }
+
+  // Creating a collection is DDL, which commits the transaction of its connection. It runs
+  // on a connection of its own so the pending work of a transactional session is not
+  // committed with it
+  async _createCollection(pool) {
     const mymetadata = {
       keyColumn: { name: 'ID', assignmentMethod: 'UUID' },
       contentColumn: { name: 'JSON_DOCUMENT', sqlType: this.jsonSQLtype },
@@ -47,70 +166,87 @@ export default class OracleCollection {
       creationTimeColumn: { name: 'CREATED_ON' },
     };
 
-    logger.verbose('getCollectionConnection about to connect for collection ' + this._name);
-    let localConn;
-    this._oracleCollection = await this._oracleStorageAdapter
-      .connect()
-      .then(p => {
-        logger.verbose('getCollectionConnection about to get connection from pool ');
-        logger.verbose('  statistics: ' + JSON.stringify(p.getStatistics()));
-        return p.getConnection();
-      })
-      .then(conn => {
-        logger.verbose('getCollectionConnection about to get SodaDB');
-        localConn = conn;
-        return conn.getSodaDatabase();
-      })
-      .then(sodadb => {
-        logger.verbose('getCollectionConnection open collection for  ' + this._name);
-        this._oracleSodaDB = sodadb;
-        return sodadb.openCollection(this._name);
-      })
-      .then(async coll => {
-        if (!coll) {
-          logger.verbose('getCollectionConnection create NEW collection for  ' + this._name);
-          const newCollection = await this._oracleSodaDB.createCollection(this._name, {
-            metaData: mymetadata,
-          });
+    logger.verbose('getCollectionConnection create NEW collection for  ' + this._name);
+    const conn = await pool.getConnection();
+    try {
+      const newCollection = await conn.getSodaDatabase().createCollection(this._name, {
+        metaData: mymetadata,
+      });
 
-          /*
-            Create index on _id for every new collection
-            This imitates Mongo behavior which happens automatically
-
-            Index names MUST be unique in a schema, append table name
-            cannot have two indexes with the same name in a single schema.
-          */
-          if (!this.idIndexCreating) {
-            this.idIndexCreating = true;
-            const indexName = 'ididx' + this._name;
-            const indexSpec = { name: indexName, unique: true, fields: [{ path: '_id' }] };
-            await newCollection.createIndex(indexSpec);
-            logger.verbose(
-              'getCollectionConnection successfully create _id index for  ' + this._name
-            );
-            // Add _id if it doesn't exist to indexes array
-            const found = this.indexes.find(item => {
-              return Object.keys(item)[0] === '_id_';
-            });
-            if (typeof found === 'undefined') {
-              this.indexes.push({ _id_: { _id: 1 } });
-            }
-          }
-          return newCollection;
+      /*
+        Create index on _id for every new collection
+        This imitates Mongo behavior which happens automatically
+
+        Index names MUST be unique in a schema, append table name
+        cannot have two indexes with the same name in a single schema.
+      */
+      if (!this.idIndexCreating) {
+        this.idIndexCreating = true;
+        const indexName = 'ididx' + this._name;
+        const indexSpec = { name: indexName, unique: true, fields: [{ path: '_id' }] };
+        await newCollection.createIndex(indexSpec);
+        logger.verbose('getCollectionConnection successfully create _id index for  ' + this._name);
+        // Add _id if it doesn't exist to indexes array
+        const found = this.indexes.find(item => {
+          return Object.keys(item)[0] === '_id_';
+        });
+        if (typeof found === 'undefined') {
+          this.indexes.push({ _id_: { _id: 1 } });
         }
-        return coll;
-      })
-      .catch(error => {
-        logger.error('getCollectionConnection ERROR:  ' + error);
-        throw error;
-      });
-    logger.verbose(
-      'getCollectionConnection returning collection for  ' +
-        this._name +
-        ' returned ' +
-        this._oracleCollection
-    );
-    return localConn;
+      }
+    } finally {
+      await conn.close();
+    }
+  }
+
+  // Commits and releases a pooled connection. A connection pinned by a transactional
+  // session is left open, it is ended by commitTransactionalSession or abortTransactionalSession.
+  // Its call timeout is reset for the next call of the session, and a session whose call
+  // timed out is marked failed, the transaction cannot be committed any more
+  async _closeConnection(conn, transactionalSession) {
+    if (!conn) {
+      return;
+    }
+    if (transactionalSession && transactionalSession.connection === conn) {
+      if (timedOutConnections.has(conn)) {
+        transactionalSession.failed = true;
+      } else {
+        conn.callTimeout = 0;
+      }
+      return;
+    }
+    if (timedOutConnections.has(conn)) {
+      // After a call timeout the connection may be unusable, it leaves the pool
+      await conn.close({ drop: true });
+      return;
+    }
+    try {
+      conn.callTimeout = 0;
+      await conn.commit();
+    } finally {
+      await conn.close();
+    }
+  }
+
+  // Bounds every round trip on the connection by maxTimeMS, the driver interrupts
+  // a call that runs longer. _closeConnection resets it before the connection is reused
+  _setCallTimeout(conn, maxTimeMS) {
+    if (conn && maxTimeMS) {
+      conn.callTimeout = Number(maxTimeMS);
+    }
+  }
+
+  // A call interrupted by callTimeout becomes Parse's TIMEOUT error, as translateError
+  // maps it, and its connection is marked. Other errors are passed on as they are
+  _timeoutError(error, conn) {
+    const translated = translateError(error);
+    if (translated === error || translated.code !== Parse.Error.TIMEOUT) {
+      return error;
+    }
+    if (conn) {
+      timedOutConnections.add(conn);
+    }
+    return translated;
   }
 
   // Atomically updates data in the database for a single (first) object that matched the query
@@ -129,21 +265,25 @@ export default class OracleCollection {
     */
 
     logger.verbose('in upsertOne query = ' + JSON.stringify(query));
-    logger.verbose('use session to make linter happy ' + JSON.stringify(session));
     // TODO need to use save(), which is the SODA equivalent of upsert() andit takes a SodaDocument
     let docs;
     let promise;
 
     try {
-      promise = await this.findOneAndUpdate(query, update, null);
+      promise = await this.findOneAndUpdate(query, update, session);
       logger.verbose('Upsert Promise = ' + promise);
       if (promise === false) {
         logger.verbose('Upsert Insert for query ' + JSON.stringify(query));
-        promise = await this._rawFind(query, { type: 'sodadocs' }).then(d => (docs = d));
+        promise = await this._rawFind(
+          query,
+          { type: 'sodadocs' },
+          { transactionalSession: session }
+        ).then(d => (docs = d));
         if (docs && docs.length == 0) {
           // Its an insert so merge query into update
-          _.merge(update, query);
-          promise = await this.insertOne(update);
+          const insert = documentFromUpdate(update);
+          _.merge(insert, query);
+          promise = await this.insertOne(insert, session);
         }
       }
       return promise;
@@ -153,250 +293,75 @@ export default class OracleCollection {
     }
   }
 
+  // Atomically applies an update to the first document matching the query with one UPDATE
+  // statement, the operators run in the database so concurrent updates are not lost.
+  // Returns the updated content, false when nothing matched
   async findOneAndUpdate(query, update, transactionalSession) {
-    try {
-      logger.verbose('in Collection findOneAndUpdate query = ' + JSON.stringify(query));
-      logger.verbose(
-        'use transactionalSession to make linter happy ' + JSON.stringify(transactionalSession)
-      );
-
-      // TODO:  Fix updatedAt, it should be _updatedAt because its an internal field
-      //              and updatedAt doesn't get updated for Schemas
+    let localConn = null;
 
-      let updateObj;
+    logger.verbose('in Collection findOneAndUpdate query = ' + JSON.stringify(query));
+    logger.verbose('update = ' + JSON.stringify(update));
 
-      let result = await this._rawFind(query, { type: 'one' }).then(result => {
-        return result;
-      });
-      //************************************************************************************************/
-      // Modify Update based on Mongo operators
-      //
-      // Look for $unset, Mongo's deleteField
-      // Create array of fieldNames to be deleted
-      const newUpdate = new Object();
-      const fieldNames = new Array();
+    // TODO:  Fix updatedAt, it should be _updatedAt because its an internal field
+    //              and updatedAt doesn't get updated for Schemas
+    const oraUpdate = new Object();
+    if (update.fieldName) {
+      oraUpdate[update.fieldName] = update.theFieldType;
+    } else {
       Object.keys(update).forEach(item => {
-        if (item === '$unset') {
-          Object.keys(update[item]).forEach(item => {
-            fieldNames.push(item);
-          });
-        } else {
-          if (item === '_updated_at') {
-            newUpdate['updatedAt'] = update[item];
-          } else {
-            newUpdate[item] = update[item];
+        if (item === '_updated_at') {
+          oraUpdate['updatedAt'] = update[item];
+        } else if (item === '_metadata' && update[item] && update[item].class_permissions) {
+          // Schema class_permissions are replaced, the rest of _metadata is merged
+          const { class_permissions, ...metadata } = update[item];
+          if (Object.keys(metadata).length > 0) {
+            oraUpdate[item] = metadata;
           }
-        }
-      });
-
-      // if FieldNames > 0, delete those fields and
-      // repalce update with newUpdate that has the $unset pairs removed
-      // Don't move deletefields to update transform code
-      if (fieldNames.length > 0) {
-        await this.deleteFields(fieldNames).then(result => {
-          update = newUpdate;
-          return result;
-        });
-        // Ya changed the key values get them again
-        result = await this._rawFind(query, { type: 'one' }).then(result => {
-          return result;
-        });
-      }
-
-      // Process Increments  $inc
-      const newIncUpdate = new Object();
-      let incUpdt = false;
-      Object.keys(update).forEach(item => {
-        if (item === '$inc') {
-          Object.keys(update[item]).forEach(it2 => {
-            incUpdt = true;
-            _.set(result.content, it2, _.result(result.content, it2) + update[item][it2]);
-          });
+          oraUpdate['_metadata.class_permissions'] = class_permissions;
         } else {
-          if (item === '_updated_at') {
-            newIncUpdate['updatedAt'] = update[item];
-          } else {
-            newIncUpdate[item] = update[item];
-          }
+          oraUpdate[item] = update[item];
         }
       });
+    }
 
-      if (incUpdt) {
-        update = newIncUpdate;
-      }
-
-      // Process $AddToSet operator adds a value to an array unless the value is already present, in which case $addToSet does nothing to that array.
-      const newAddToSetUpdate = new Object();
-      let addToSetUpdt = false;
-      Object.keys(update).forEach(item => {
-        if (item === '$addToSet') {
-          Object.keys(update[item]).forEach(it2 => {
-            Object.keys(update[item][it2]).forEach(it3 => {
-              if (it3 === '$each') {
-                const updtArray = update[item][it2][it3];
-                // Check for dot notation
-                const temp = it2.split('.');
-                let newArray;
-                if (temp.length > 1) {
-                  newArray = result.content[temp[0]][temp[1]];
-                } else {
-                  newArray = result.content[it2];
-                }
-                updtArray.forEach(updt => {
-                  if (typeof updt === 'object') {
-                    if (!newArray.some(entry => Object.keys(entry)[0] === Object.keys(updt)[0])) {
-                      addToSetUpdt = true;
-                      newArray.push(updt);
-                    }
-                  } else {
-                    if (!newArray.includes(updt)) {
-                      addToSetUpdt = true;
-                      newArray.push(updt);
-                    }
-                  }
-                });
-              }
-            });
-          });
-        } else {
-          if (item === '_updated_at') {
-            newAddToSetUpdate['updatedAt'] = update[item];
-          } else {
-            newAddToSetUpdate[item] = update[item];
-          }
+    return this.getCollectionConnection(transactionalSession)
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const binds = {};
+        const table = this.getTableName(collection);
+        const where = transformWhereToSQL(query, binds);
+        const content = transformUpdateToSQL(oraUpdate, binds, { returning: this.jsonSQLtype });
+        binds.id = { dir: oracledb.BIND_OUT, type: oracledb.STRING, maxSize: 255 };
+        logger.verbose('findOneAndUpdate content = ' + content + ' where ' + where);
+        const result = await localConn.execute(
+          `UPDATE ${table}
+              SET JSON_DOCUMENT = ${content},
+                  VERSION = RAWTOHEX(SYS_GUID()),
+                  LAST_MODIFIED = SYS_EXTRACT_UTC(SYSTIMESTAMP)
+            WHERE ${where} AND ROWNUM = 1
+        RETURNING ID INTO :id`,
+          binds
+        );
+        if (result.rowsAffected === 0) {
+          logger.verbose('No Docs, nothing to update, return false');
+          return false;
         }
-      });
-
-      if (addToSetUpdt) {
-        update = newAddToSetUpdate;
-      }
-
-      // Process $pullAll operator removes all instances of the specified values from an existing array.
-      const newPullAllUpdate = new Object();
-      let pullAllUpdt = false;
-      Object.keys(update).forEach(item => {
-        if (item === '$pullAll') {
-          Object.keys(update[item]).forEach(it2 => {
-            const updtArray = update[item][it2];
-            const rsltArray = result.content[it2];
-            const newArray = new Array();
-            updtArray.forEach(updt => {
-              if (typeof updt === 'object') {
-                rsltArray.forEach(entry => {
-                  if (Object.keys(entry)[0] != Object.keys(updt)[0]) {
-                    newArray.push(entry);
-                    pullAllUpdt = true;
-                  }
-                });
-              }
-              newPullAllUpdate[it2] = newArray;
-            });
-          });
-        } else {
-          if (item === '_updated_at') {
-            newPullAllUpdate['updatedAt'] = update[item];
-          } else {
-            newPullAllUpdate[item] = update[item];
-          }
+        // Read back in the same transaction, the row stays locked until the commit
+        const doc = await collection.find().key(result.outBinds.id[0]).getOne();
+        const updateObj = doc.getContent();
+        logger.verbose('Updated Object = ' + JSON.stringify(updateObj));
+        return updateObj;
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn, transactionalSession);
+          localConn = null;
         }
+      })
+      .catch(error => {
+        logger.error('Find One and Update ERROR = ', error);
+        throw error;
       });
-
-      if (pullAllUpdt) {
-        update = newPullAllUpdate;
-      }
-
-      // End of Transform Update
-      //************************************************************************************************/
-
-      if (result && Object.keys(result).length > 0) {
-        // found the doc, so we need to update it
-        const key = result.key;
-        logger.verbose('key = ' + key);
-        const version = result.version;
-        logger.verbose('version = ' + version);
-        const oldContent = result.content;
-
-        logger.verbose('oldContent = ' + JSON.stringify(oldContent));
-        logger.verbose('update = ' + JSON.stringify(update));
-
-        // Check for empty object and remove it from original, no merging, replacing
-        Object.keys(update).forEach(item => {
-          if (
-            typeof update[item] === 'object' &&
-            update[item] !== null &&
-            item !== 'updatedAt' &&
-            Object.keys(update[item]).length === 0
-          ) {
-            _.unset(oldContent, item);
-          }
-        });
-
-        if (update.fieldName) {
-          const theUpdate = { [update.fieldName]: update.theFieldType };
-          logger.verbose('theUpdate = ' + JSON.stringify(theUpdate));
-          updateObj = { ...oldContent, ...theUpdate };
-        } else {
-          if (pullAllUpdt || update['_metadata']) {
-            // Handle set or merge for _metadata in Schema
-            Object.keys(update).forEach(item => {
-              const found = Object.keys(oldContent).find(item => {
-                return item === '_metadata';
-              });
-              if (item === '_metadata') {
-                if (found) {
-                  if (
-                    Object.prototype.hasOwnProperty.call(oldContent[item], 'class_permissions') &&
-                    Object.prototype.hasOwnProperty.call(update[item], 'class_permissions')
-                  ) {
-                    // Just reset class_permissions to update
-                    _.set(oldContent[item], 'class_permissions', update[item]['class_permissions']);
-                  } else {
-                    _.merge(oldContent['_metadata'], update[item]);
-                  }
-                } else {
-                  _.set(oldContent, item, update[item]);
-                }
-              } else {
-                _.set(oldContent, item, update[item]);
-              }
-            });
-            updateObj = oldContent;
-          } else {
-            updateObj = _.merge(oldContent, update);
-          }
-        }
-        logger.verbose('Updated Object = ' + JSON.stringify(updateObj));
-        let localConn = null;
-        return this.getCollectionConnection()
-          .then(conn => {
-            localConn = conn;
-            return this._oracleCollection.find().key(key).version(version).replaceOne(updateObj);
-          })
-          .then(result => {
-            if (result.replaced == true) {
-              return updateObj;
-            } else {
-              return 'retry';
-            }
-          })
-          .finally(async () => {
-            if (localConn) {
-              await localConn.close();
-              localConn = null;
-            }
-          })
-          .catch(error => {
-            logger.error('Find One and Update replaceOne ERROR = ', error);
-            throw error;
-          });
-      } else {
-        logger.verbose('No Docs, nothing to update, return false');
-        return false;
-      }
-    } catch (error) {
-      logger.error('Find One and Update ERROR = ', error);
-      throw error;
-    }
   }
 
   async updateSchemaIndexes(query, update) {
@@ -443,9 +408,9 @@ export default class OracleCollection {
 
       let localConn = null;
       return this.getCollectionConnection()
-        .then(conn => {
+        .then(({ conn, collection }) => {
           localConn = conn;
-          return this._oracleCollection.find().key(key).version(version).replaceOne(updateObj);
+          return collection.find().key(key).version(version).replaceOne(updateObj);
         })
         .then(result => {
           if (result.replaced == true) {
@@ -456,7 +421,7 @@ export default class OracleCollection {
         })
         .finally(async () => {
           if (localConn) {
-            await localConn.close();
+            await this._closeConnection(localConn);
             localConn = null;
           }
         })
@@ -491,13 +456,13 @@ export default class OracleCollection {
 
         let localConn = null;
         return this.getCollectionConnection()
-          .then(conn => {
+          .then(({ conn, collection }) => {
             localConn = conn;
-            return this._oracleCollection.find().key(key).version(version).remove();
+            return collection.find().key(key).version(version).remove();
           })
           .finally(async () => {
             if (localConn) {
-              await localConn.close();
+              await this._closeConnection(localConn);
               localConn = null;
             }
           })
@@ -514,48 +479,90 @@ export default class OracleCollection {
     }
   }
 
-  async deleteObjectsByQuery(query, transactionalSession) {
-    try {
-      logger.verbose('in Collection deleteObjectsByQuery query = ' + JSON.stringify(query));
-      logger.verbose(
-        'use transactionalSession to make linter happy ' + JSON.stringify(transactionalSession)
-      );
+  // Applies an update to every document matching the query in one UPDATE statement.
+  // SODA keeps VERSION and LAST_MODIFIED itself, so they are set here as well
+  async updateObjectsByQuery(query, update, transactionalSession) {
+    let localConn = null;
 
-      const result = await this._rawFind(query, { type: 'all' }).then(result => {
-        return result;
+    logger.verbose('in Collection updateObjectsByQuery query = ' + JSON.stringify(query));
+    logger.verbose('update = ' + JSON.stringify(update));
+    return this.getCollectionConnection(transactionalSession)
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const binds = {};
+        const table = this.getTableName(collection);
+        const where = transformWhereToSQL(query, binds);
+        const content = transformUpdateToSQL(update, binds, { returning: this.jsonSQLtype });
+        logger.verbose('updateObjectsByQuery content = ' + content + ' where ' + where);
+        // One statement, so the counts are those of the rows it updated. Parse sets
+        // _updated_at on every update, so every matched document is also modified
+        const result = await localConn.execute(
+          `UPDATE ${table}
+              SET JSON_DOCUMENT = ${content},
+                  VERSION = RAWTOHEX(SYS_GUID()),
+                  LAST_MODIFIED = SYS_EXTRACT_UTC(SYSTIMESTAMP)
+            WHERE ${where}`,
+          binds
+        );
+        return { matchedCount: result.rowsAffected, modifiedCount: result.rowsAffected };
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn, transactionalSession);
+          localConn = null;
+        }
+      })
+      .catch(error => {
+        logger.error('Collection updateObjectsByQuery ERROR: ', error);
+        throw error;
       });
+  }
 
-      if (result.length > 0) {
-        for (let i = 0; i < result.length; i++) {
-          // found the doc, so we need to update it
-          const key = result[i].key;
-          logger.verbose('key = ' + key);
-          const version = result[i].version;
-          logger.verbose('version = ' + version);
-          let localConn = null;
-          return this.getCollectionConnection()
-            .then(conn => {
-              localConn = conn;
-              return this._oracleCollection.find().key(key).version(version).remove();
-            })
-            .finally(async () => {
-              if (localConn) {
-                await localConn.close();
-                localConn = null;
-              }
-            })
-            .catch(error => {
-              logger.error('Delete Objects By Query remove ERROR: ', error);
-              throw error;
-            });
-        }
-      } else {
-        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
-      }
-    } catch (error) {
-      logger.error('Delete Objects By Query ERROR: ', error);
-      throw error;
+  // Removes every document matching the query with one filtered remove(), nothing is
+  // fetched so the number of matches does not matter. Returns the deleted count
+  async deleteObjectsByQuery(query, transactionalSession) {
+    let localConn = null;
+
+    logger.verbose('in Collection deleteObjectsByQuery query = ' + JSON.stringify(query));
+    if (!needsSQL(query)) {
+      query = this._fixupQuery(query);
     }
+    if (query === null) {
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+    }
+    return this.getCollectionConnection(transactionalSession)
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        if (needsSQL(query)) {
+          const binds = {};
+          const result = await localConn.execute(
+            `DELETE FROM ${this.getTableName(collection)} WHERE ${transformWhereToSQL(
+              query,
+              binds
+            )}`,
+            binds
+          );
+          return { count: result.rowsAffected };
+        }
+        return collection.find().filter(query).remove();
+      })
+      .then(result => {
+        logger.verbose('deleteObjectsByQuery removed ' + result.count);
+        if (result.count === 0) {
+          throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+        }
+        return result.count;
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn, transactionalSession);
+          localConn = null;
+        }
+      })
+      .catch(error => {
+        logger.error('Delete Objects By Query ERROR: ', error);
+        throw error;
+      });
   }
 
   // Delete fields from all documents in a collection
@@ -647,9 +654,9 @@ export default class OracleCollection {
 
     let localConn = null;
     return this.getCollectionConnection()
-      .then(conn => {
+      .then(({ conn, collection }) => {
         localConn = conn;
-        return this._oracleCollection.find().key(key).version(version).replaceOne(oldContent);
+        return collection.find().key(key).version(version).replaceOne(oldContent);
       })
       .then(result => {
         if (result.replaced == true) {
@@ -660,7 +667,7 @@ export default class OracleCollection {
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn);
           localConn = null;
         }
       })
@@ -694,9 +701,9 @@ export default class OracleCollection {
 
         let localConn = null;
         return this.getCollectionConnection()
-          .then(conn => {
+          .then(({ conn, collection }) => {
             localConn = conn;
-            return this._oracleCollection.find().key(key).version(version).replaceOne(oldContent);
+            return collection.find().key(key).version(version).replaceOne(oldContent);
           })
           .then(result => {
             if (result.replaced == true) {
@@ -707,7 +714,7 @@ export default class OracleCollection {
           })
           .finally(async () => {
             if (localConn) {
-              await localConn.close();
+              await this._closeConnection(localConn);
               localConn = null;
             }
           })
@@ -747,12 +754,6 @@ export default class OracleCollection {
   ) {
     try {
       logger.verbose('entering find()');
-      // Support for Full Text Search - $text
-      if (keys && keys.$score) {
-        delete keys.$score;
-        keys.score = { $meta: 'textScore' };
-      }
-
       return this._rawFind(
         query,
         { type: 'content' },
@@ -786,9 +787,9 @@ export default class OracleCollection {
       // TODO:  MUST FIX
       var index = {};
       index[key] = '2d';
-      await this.getCollectionConnection();
+      const { conn, collection } = await this.getCollectionConnection();
 
-      const result = await this._oracleCollection
+      const result = await collection
         .createIndex(index)
         // Retry, but just once.
         .then(() =>
@@ -804,251 +805,285 @@ export default class OracleCollection {
             explain,
           })
         );
-      this.closeConnection();
+      await this._closeConnection(conn);
       return result.map(i => i.getContent());
     }
   }
 
-  async _rawFind(
-    query,
-    retval,
-    {
-      skip,
-      limit,
-      sort,
-      keys,
-      maxTimeMS,
-      readPreference,
-      hint,
-      caseInsensitive,
-      explain,
-      sortTypes,
-    } = {}
-  ) {
-    logger.verbose('_rawFind: collection = ' + JSON.stringify(this._oracleCollection));
-    logger.verbose('query = ' + JSON.stringify(query));
-    logger.verbose('limit = ' + limit);
-    // use these so the linter will not complain - until i actually use them properly
-    logger.verbose(
-      'TODO: not using these: ' + sort,
-      maxTimeMS,
-      readPreference,
-      caseInsensitive,
-      explain
-    );
-
-    let localConn = null;
-    try {
-      let findOperation;
-
-      await this.getCollectionConnection()
-        .then(conn => {
-          localConn = conn;
-          findOperation = this._oracleCollection.find();
-        })
-        .catch(async error => {
-          logger.error('Error getting connection in _rawFind, ERROR =' + error);
-          if (localConn) {
-            await localConn.close();
-            localConn = null;
+  // Rewrites a query into a QBE filter SODA accepts.
+  // Returns null when the query cannot match any document
+  _fixupQuery(query) {
+    //  All this below is to handle empty array in $in selection
+    //  Node APIs fail for empty array error
+    //  The fix will be in a future release of instant client
+    //  https://orahub.oci.oraclecorp.com/ora-microservices-dev/mbaas-parse-server/-/wikis/ORA-40676:-invalid-Query-By-Example-(QBE)-filter-specification-JZN-00305:-Array-of-values-was-empty
+    const myObj = JSON.parse(JSON.stringify(query));
+
+    for (const x in myObj) {
+      if (typeof myObj[x] === 'object') {
+        const json = JSON.parse(JSON.stringify(myObj[x]));
+
+        //CDB
+        //to manage EqualTo() with null
+        // when an input query is like
+        // {"foo":null,"$or":[{"_rperm":{"$in":["*","*"]}},{"_rperm":null},{"_rperm":{"$exists":false}}]}
+        // and need to generate a $or for null check, need to wrap the whole thing with a $and
+        // It looks like null = non-existance or null
+        if (json == null) {
+          let newQuery = {};
+
+          if (Object.prototype.hasOwnProperty.call(myObj, '$or')) {
+            // This whole not handling null is getting ugly
+            const originalOr = JSON.stringify(myObj['$or']);
+            const queryOr = JSON.stringify({ $or: [{ [x]: { $exists: false } }, { [x]: null }] });
+            const andString = `[${queryOr},{"$or":${originalOr}}]`;
+            newQuery['$and'] = JSON.parse(andString);
+            delete myObj['$or'];
+          } else {
+            newQuery = { $or: [{ [x]: { $exists: false } }, { [x]: null }] };
           }
-          throw error;
-        });
-
-      //    let findOperation = this._oracleCollection.find(); // find() is sync and returns SodaOperation
-
-      //  All this below is to handle empty array in $in selection
-      //  Node APIs fail for empty array error
-      //  The fix will be in a future release of instant client
-      //  https://orahub.oci.oraclecorp.com/ora-microservices-dev/mbaas-parse-server/-/wikis/ORA-40676:-invalid-Query-By-Example-(QBE)-filter-specification-JZN-00305:-Array-of-values-was-empty
-      const myObj = JSON.parse(JSON.stringify(query));
-
-      for (const x in myObj) {
-        if (typeof myObj[x] === 'object') {
-          const json = JSON.parse(JSON.stringify(myObj[x]));
-
-          //CDB
-          //to manage EqualTo() with null
-          // when an input query is like
-          // {"foo":null,"$or":[{"_rperm":{"$in":["*","*"]}},{"_rperm":null},{"_rperm":{"$exists":false}}]}
-          // and need to generate a $or for null check, need to wrap the whole thing with a $and
-          // It looks like null = non-existance or null
-          if (json == null) {
-            let newQuery = {};
-
-            if (Object.prototype.hasOwnProperty.call(myObj, '$or')) {
-              // This whole not handling null is getting ugly
-              const originalOr = JSON.stringify(myObj['$or']);
-              const queryOr = JSON.stringify({ $or: [{ [x]: { $exists: false } }, { [x]: null }] });
-              const andString = `[${queryOr},{"$or":${originalOr}}]`;
-              newQuery['$and'] = JSON.parse(andString);
-              delete myObj['$or'];
-            } else {
-              newQuery = { $or: [{ [x]: { $exists: false } }, { [x]: null }] };
+          query = newQuery;
+        }
+        //CDB-END
+        //CDB
+        //to manage notEqualTo() with null
+        if (json != null) {
+          if (Object.keys(json)[0] == '$ne') {
+            if (json['$ne'] == null) {
+              const newQuery = { $and: [{ [x]: { $exists: true } }, { [x]: { $ne: null } }] };
+              query = newQuery;
             }
-            query = newQuery;
           }
-          //CDB-END
-          //CDB
-          //to manage notEqualTo() with null
-          if (json != null) {
-            if (Object.keys(json)[0] == '$ne') {
-              if (json['$ne'] == null) {
-                const newQuery = { $and: [{ [x]: { $exists: true } }, { [x]: { $ne: null } }] };
-                query = newQuery;
+        }
+        //CDB-END
+
+        //CDD
+        // Remove empty objects from $and clause
+        // ORA-40676: invalid Query-By-Example (QBE) filter specification
+        // JZN-00315: Empty objects not allowed
+        //
+        // fix up queries like
+        // { '$and': [ {}, { _p_user: '_User$EYTVvcG4j9' } ] }
+        if (json != null && x == '$and') {
+          if (Array.isArray(json)) {
+            const condList = new Array();
+            json.forEach(item => {
+              if (!(Object.keys(item).length === 0)) {
+                condList.push(item);
               }
-            }
+            });
+            query = {
+              $and: condList,
+            };
           }
-          //CDB-END
-
-          //CDD
-          // Remove empty objects from $and clause
-          // ORA-40676: invalid Query-By-Example (QBE) filter specification
-          // JZN-00315: Empty objects not allowed
-          //
-          // fix up queries like
-          // { '$and': [ {}, { _p_user: '_User$EYTVvcG4j9' } ] }
-          if (json != null && x == '$and') {
-            if (Array.isArray(json)) {
-              const condList = new Array();
-              json.forEach(item => {
-                if (!(Object.keys(item).length === 0)) {
-                  condList.push(item);
+        }
+        //CDD
+
+        for (const y in json) {
+          //query should not match on array when searching for null
+          if (y === '$all' && Array.isArray(json[y]) && json[y][0] == null) {
+            return null;
+          } else {
+            // to manage $all of normal expression for query match on array with multiple objects
+            if (
+              y === '$all' &&
+              Array.isArray(json[y]) &&
+              json[y][0]['__FIELD__!!__'] === undefined
+            ) {
+              const newCondList = Array();
+
+              for (var ass in myObj[x]['$all']) {
+                if (typeof myObj[x]['$all'][ass] === 'object') {
+                  // ???
+                  const condList = myObj[x]['$all'][0];
+                  Object.keys(condList).forEach(function (key) {
+                    // key: the name of the object key
+                    // index: the ordinal position of the key within the object
+                    const newField = x + '[*].' + key;
+                    newCondList.push({
+                      [newField]: condList[key],
+                    });
+                  });
                 }
-              });
-              query = {
-                $and: condList,
-              };
-            }
-          }
-          //CDD
-
-          for (const y in json) {
-            //query should not match on array when searching for null
-            if (y === '$all' && Array.isArray(json[y]) && json[y][0] == null) {
-              if (localConn) {
-                await localConn.close();
-                localConn = null;
               }
-              return [];
-            } else {
-              // to manage $all of normal expression for query match on array with multiple objects
+              // For 'containsAll date array queries','containsAll string array queries','containsAll number array queries'
+              // no 'objects' in array: doesn't need a query re-write in $and:[] 'for query match on array with multiple objects'
+              // newCondList == []
+              if (newCondList.length != 0) {
+                query = {
+                  $and: newCondList,
+                };
+              }
+            } //CDB
+          }
+
+          if (y === '$in' || y === '$nin' || y === '$all') {
+            if (json[y].length > 0 && json[y][0] !== null) {
+              //TO MANAGE 'containsAllStartingWith single empty value returns empty results' test
               if (
+                Object.keys(json[y][0]).length == 0 &&
                 y === '$all' &&
-                Array.isArray(json[y]) &&
-                json[y][0]['__FIELD__!!__'] === undefined
+                typeof json[y][0] == 'object'
               ) {
-                const newCondList = Array();
-
-                for (var ass in myObj[x]['$all']) {
-                  if (typeof myObj[x]['$all'][ass] === 'object') {
-                    // ???
-                    const condList = myObj[x]['$all'][0];
-                    Object.keys(condList).forEach(function (key) {
-                      // key: the name of the object key
-                      // index: the ordinal position of the key within the object
-                      const newField = x + '[*].' + key;
-                      newCondList.push({
-                        [newField]: condList[key],
-                      });
-                    });
-                  }
-                }
-                // For 'containsAll date array queries','containsAll string array queries','containsAll number array queries'
-                // no 'objects' in array: doesn't need a query re-write in $and:[] 'for query match on array with multiple objects'
-                // newCondList == []
-                if (newCondList.length != 0) {
-                  query = {
-                    $and: newCondList,
-                  };
-                }
-              } //CDB
+                return null;
+              }
             }
 
-            if (y === '$in' || y === '$nin' || y === '$all') {
-              if (json[y].length > 0 && json[y][0] !== null) {
-                //TO MANAGE 'containsAllStartingWith single empty value returns empty results' test
-                if (
-                  Object.keys(json[y][0]).length == 0 &&
-                  y === '$all' &&
-                  typeof json[y][0] == 'object'
-                ) {
-                  if (localConn) {
-                    await localConn.close();
-                    localConn = null;
-                  }
-                  return [];
-                }
+            if (json[y].length == 0) {
+              if (y === '$in' || y === '$all') {
+                return null;
+              } else {
+                query = JSON.parse('{}');
               }
-
-              if (json[y].length == 0) {
-                if (y === '$in' || y === '$all') {
+            }
+          }
+          // to manage $all of $regex expression
+          //To exclude a $all on $regex array to be transformed in $and
+
+          /* CDD Commented this code out becuase it broke this query
+             {"numbers":{"$all":[1,2,3]}
+             and this test
+             containsAll number array queries
+             */
+
+          /*          if (y === '$all' && json[y][0]['__FIELD__!!__'] === undefined) {
+            //find wrong field
+            for (ass in myObj[x]['$all']) {
+              if (typeof myObj[x]['$all'][ass] === 'object') {
+                if (Object.keys(ass)[0] != '$regex') {
+                  //TO BE FIXED
                   if (localConn) {
-                    await localConn.close();
+                    localConn.close();
                     localConn = null;
                   }
                   return [];
-                } else {
-                  query = JSON.parse('{}');
                 }
               }
+            } //To manage 'containsAll number array queries' in conflict with 'containsAllStartingWith single empty value returns empty results' test
+            if (localConn) {
+              localConn.close();
+              localConn = null;
             }
-            // to manage $all of $regex expression
-            //To exclude a $all on $regex array to be transformed in $and
-
-            /* CDD Commented this code out becuase it broke this query
-               {"numbers":{"$all":[1,2,3]}
-               and this test
-               containsAll number array queries
-               */
-
-            /*          if (y === '$all' && json[y][0]['__FIELD__!!__'] === undefined) {
-              //find wrong field
-              for (ass in myObj[x]['$all']) {
-                if (typeof myObj[x]['$all'][ass] === 'object') {
-                  if (Object.keys(ass)[0] != '$regex') {
-                    //TO BE FIXED
-                    if (localConn) {
-                      localConn.close();
-                      localConn = null;
-                    }
-                    return [];
-                  }
-                }
-              } //To manage 'containsAll number array queries' in conflict with 'containsAllStartingWith single empty value returns empty results' test
-              if (localConn) {
-                localConn.close();
-                localConn = null;
-              }
-              return [];
-            }*/
+            return [];
+          }*/
 
-            if (y === '$all' && !(json[y][0]['__FIELD__!!__'] === undefined)) {
-              const condList = [];
+          if (y === '$all' && !(json[y][0]['__FIELD__!!__'] === undefined)) {
+            const condList = [];
 
-              for (const condition in query[x][y]) {
-                condList.push({
-                  [x]: query[x][y][condition]['__FIELD__!!__'],
-                });
-              }
+            for (const condition in query[x][y]) {
+              condList.push({
+                [x]: query[x][y][condition]['__FIELD__!!__'],
+              });
+            }
 
-              query = {
-                $and: condList,
-              };
-            } //CDB-END
-          }
+            query = {
+              $and: condList,
+            };
+          } //CDB-END
+        }
 
-          // Let $or just passthrough
-          if (x === '$or') {
-            query[x] = myObj[x];
+        // Let $or just passthrough
+        if (x === '$or') {
+          query[x] = myObj[x];
+        }
+      }
+    } //CDB
+    return query;
+  }
+
+  async _rawFind(
+    query,
+    retval,
+    {
+      skip,
+      limit,
+      sort,
+      keys,
+      maxTimeMS,
+      readPreference,
+      hint,
+      caseInsensitive,
+      explain,
+      sortTypes,
+      transactionalSession,
+    } = {}
+  ) {
+    logger.verbose('_rawFind: collection = ' + this._name);
+    logger.verbose('query = ' + JSON.stringify(query));
+    logger.verbose('limit = ' + limit);
+
+    let localConn = null;
+    try {
+      let findOperation;
+      let localCollection;
+
+      await this.getCollectionConnection(transactionalSession, readPreference)
+        .then(({ conn, collection }) => {
+          localConn = conn;
+          localCollection = collection;
+          this._setCallTimeout(localConn, maxTimeMS);
+          findOperation = collection.find();
+        })
+        .catch(async error => {
+          logger.error('Error getting connection in _rawFind, ERROR =' + error);
+          if (localConn) {
+            await this._closeConnection(localConn, transactionalSession);
+            localConn = null;
           }
+          throw error;
+        });
+
+      //    let findOperation = collection.find(); // find() is sync and returns SodaOperation
+
+      if (explain) {
+        const { sql, binds } = this._findStatement(localCollection, query, {
+          skip,
+          limit,
+          sort,
+          keys,
+          hint,
+          sortTypes,
+          caseInsensitive,
+        });
+        const result = await this._explain(localConn, sql, binds, explain, query);
+        await this._closeConnection(localConn, transactionalSession);
+        localConn = null;
+        return result;
+      }
+
+      // QBE has no projection or collation, finds with keys or caseInsensitive are run
+      // in SQL, as are the operators QBE lacks. The keys are projected in the database
+      if (
+        retval.type === 'content' &&
+        ((keys && keys.length > 0) || needsSQL(query) || caseInsensitive)
+      ) {
+        const projected = await this._findSQL(localConn, localCollection, query, {
+          skip,
+          limit,
+          sort,
+          keys,
+          hint,
+          sortTypes,
+          caseInsensitive,
+        });
+        await this._closeConnection(localConn, transactionalSession);
+        localConn = null;
+        return projected;
+      }
+
+      query = this._fixupQuery(query);
+      if (query === null) {
+        if (localConn) {
+          await this._closeConnection(localConn, transactionalSession);
+          localConn = null;
         }
-      } //CDB
+        return [];
+      }
 
       if (sort && Object.keys(sort).length != 0) {
         //ADD ORDER IN QUERY
         //FIX 15-11
-        const orderByList = []; //let collection = new OracleSchemaCollection(this._oracleCollection);
+        const orderByList = [];
         for (const s in sort) {
           const order = sort[s] == -1 ? 'desc' : 'asc';
           const orderStatement = {
@@ -1079,35 +1114,6 @@ export default class OracleCollection {
       if (hint) {
         findOperation = findOperation.hint(String(hint));
       }
-      // TODO need to handle sort and readPreference
-      // let findOperation = this._oracleCollection.find(query, {
-      //   skip,
-      //   limit,
-      //   sort,
-      //   readPreference,
-      //   hint,
-      // });
-
-      if (keys) {
-        logger.verbose('keys.. with input = ' + JSON.stringify(keys));
-        // param needs to be an Array
-        // check it is not an empty object...
-        if (!_.isEmpty(keys)) {
-          logger.verbose('keys was not empty');
-          //CDB
-          //findOperation = findOperation.keys(keys);
-          //CDB-END
-        }
-      }
-
-      // if (caseInsensitive) {
-      //   findOperation = findOperation.collation(OracleCollection.caseInsensitiveCollation());
-      // }
-
-      // if (maxTimeMS) {
-      //   findOperation = findOperation.maxTimeMS(maxTimeMS);
-      // }
-
       logger.verbose('findOperation = ' + JSON.stringify(findOperation));
       logger.verbose('about to getDocuments()');
       let localDocs;
@@ -1153,59 +1159,331 @@ export default class OracleCollection {
           }
           return localDocs;
         })
+        .catch(error => {
+          logger.error('Error running findOperation GetDocuments, ERROR =' + error);
+          throw this._timeoutError(error, localConn);
+        })
         .finally(async () => {
           if (localConn) {
-            await localConn.close();
+            await this._closeConnection(localConn, transactionalSession);
             localConn = null;
           }
-        })
-        .catch(error => {
-          logger.error('Error running findOperation GetDocuments, ERROR =' + error);
-          throw error;
         });
     } catch (error) {
+      const reported = this._timeoutError(error, localConn);
       if (localConn) {
-        await localConn.close();
+        await this._closeConnection(localConn, transactionalSession);
         localConn = null;
       }
       logger.error('Error running _rawfind, ERROR =' + error);
-      throw error;
+      throw reported;
+    }
+  }
+
+  // SQL for a find, the where clause comes from the Oracle format query and the
+  // keys projection is a JSON_TRANSFORM KEEP (nested a.b paths keep their parents).
+  // $score in keys selects the relevance of a $text search and sorting by it is descending
+  _findStatement(collection, query, { skip, limit, sort, keys, hint, sortTypes, caseInsensitive }) {
+    const binds = {};
+    const where = transformWhereToSQL(query, binds, 'JSON_DOCUMENT', caseInsensitive);
+    const score = Boolean(keys && keys.includes('$score'));
+    if ((score || (sort && sort.$score)) && !hasTextSearch(query)) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, '$score is only available with $text');
+    }
+    keys = keys && keys.filter(key => key !== '$score');
+    const returning = this.jsonSQLtype === 'JSON' ? 'JSON' : 'CLOB';
+    const hintSQL = hint ? `/*+ ${hint} */ ` : '';
+    let content =
+      returning === 'JSON' ? 'JSON_DOCUMENT' : 'JSON_SERIALIZE(JSON_DOCUMENT RETURNING CLOB)';
+    if (keys && keys.length > 0) {
+      content = `JSON_TRANSFORM(JSON_DOCUMENT, KEEP ${keys
+        .map(jsonPath)
+        .join(', ')} RETURNING ${returning})`;
+    }
+    const scoreSQL = score ? `, ${textScoreSQL()} AS SCORE` : '';
+    let sql = `SELECT ${hintSQL}${content} AS DOC${scoreSQL} FROM ${this.getTableName(
+      collection
+    )} WHERE ${where}`;
+    if (sort && Object.keys(sort).length != 0) {
+      const orderBy = Object.keys(sort).map(field => {
+        if (field === '$score') {
+          return `${textScoreSQL()} DESC`;
+        }
+        const type = sortTypes && sortTypes[field] === 'number' ? 'NUMBER' : 'VARCHAR2(4000)';
+        const order = sort[field] == -1 ? 'DESC' : 'ASC';
+        return `JSON_VALUE(JSON_DOCUMENT, ${jsonPath(field)} RETURNING ${type}) ${order}`;
+      });
+      sql += ' ORDER BY ' + orderBy.join(', ');
+    }
+    if (skip) {
+      sql += ` OFFSET ${Number(skip)} ROWS`;
+    }
+    if (limit) {
+      sql += ` FETCH NEXT ${Number(limit)} ROWS ONLY`;
+    }
+    return { sql, binds, returning, score };
+  }
+
+  // Runs a find in SQL, for projections, predicates QBE cannot express and
+  // case-insensitive finds
+  async _findSQL(conn, collection, query, options) {
+    const { sql, binds, returning, score } = this._findStatement(collection, query, options);
+    logger.verbose('_findSQL sql = ' + sql);
+    const result = await conn.execute(sql, binds, {
+      outFormat: oracledb.OUT_FORMAT_OBJECT,
+      fetchInfo: returning === 'CLOB' ? { DOC: { type: oracledb.STRING } } : {},
+    });
+    return result.rows.map(row => {
+      const doc = returning === 'CLOB' ? JSON.parse(row.DOC) : row.DOC;
+      if (score) {
+        doc.score = row.SCORE;
+      }
+      return doc;
+    });
+  }
+
+  /*
+    Explain output for a statement, shaped like a Mongo explain so Parse Dashboard can show it.
+    queryPlanner is the estimated plan from EXPLAIN PLAN. executionStats and allPlansExecution
+    also run the statement with STATISTICS_LEVEL = ALL and add the row source statistics of
+    that run from DBMS_XPLAN.DISPLAY_CURSOR.
+  */
+  async _explain(conn, sql, binds, verbosity, parsedQuery) {
+    const statementId = 'parse-' + crypto.randomUUID();
+    const objectFormat = { outFormat: oracledb.OUT_FORMAT_OBJECT };
+    await conn.execute(`EXPLAIN PLAN SET STATEMENT_ID = '${statementId}' FOR ${sql}`);
+    let planRows;
+    let planText;
+    try {
+      planRows = await conn.execute(
+        `SELECT ID, PARENT_ID, OPERATION, OPTIONS, OBJECT_NAME, CARDINALITY, BYTES, COST,
+                ACCESS_PREDICATES, FILTER_PREDICATES
+           FROM PLAN_TABLE WHERE STATEMENT_ID = :statementId ORDER BY ID`,
+        { statementId },
+        objectFormat
+      );
+      planText = await conn.execute(
+        `SELECT PLAN_TABLE_OUTPUT FROM TABLE(DBMS_XPLAN.DISPLAY('PLAN_TABLE', :statementId))`,
+        { statementId },
+        objectFormat
+      );
+    } finally {
+      await conn.execute('DELETE FROM PLAN_TABLE WHERE STATEMENT_ID = :statementId', {
+        statementId,
+      });
+    }
+    const explain = {
+      queryPlanner: {
+        namespace: this._name,
+        parsedQuery,
+        sql,
+        winningPlan: planRows.rows.map(row => ({
+          id: row.ID,
+          parentId: row.PARENT_ID,
+          operation: row.OPTIONS ? `${row.OPERATION} ${row.OPTIONS}` : row.OPERATION,
+          objectName: row.OBJECT_NAME,
+          cardinality: row.CARDINALITY,
+          bytes: row.BYTES,
+          cost: row.COST,
+          accessPredicates: row.ACCESS_PREDICATES,
+          filterPredicates: row.FILTER_PREDICATES,
+        })),
+        plan: planText.rows.map(row => row.PLAN_TABLE_OUTPUT),
+      },
+    };
+    if (verbosity === 'executionStats' || verbosity === 'allPlansExecution') {
+      await conn.execute('ALTER SESSION SET STATISTICS_LEVEL = ALL');
+      try {
+        const start = Date.now();
+        const result = await conn.execute(sql, binds, { resultSet: true });
+        let nReturned = 0;
+        let rows;
+        while ((rows = await result.resultSet.getRows(100)).length > 0) {
+          nReturned += rows.length;
+        }
+        await result.resultSet.close();
+        const executionTimeMillis = Date.now() - start;
+        // With no sql_id DISPLAY_CURSOR reports the last statement of the session. It reads
+        // V$ views, a user without SELECT on them gets a message instead of the plan or an
+        // error, and the EXPLAIN PLAN output is reported
+        let plan = explain.queryPlanner.plan;
+        try {
+          const stats = await conn.execute(
+            `SELECT PLAN_TABLE_OUTPUT FROM TABLE(DBMS_XPLAN.DISPLAY_CURSOR(NULL, NULL, 'ALLSTATS LAST'))`,
+            {},
+            objectFormat
+          );
+          const lines = stats.rows.map(row => row.PLAN_TABLE_OUTPUT);
+          if (!lines.some(line => /no SELECT privilege|cannot fetch plan/i.test(line))) {
+            plan = lines;
+          }
+        } catch (error) {
+          logger.verbose('DISPLAY_CURSOR is not available, using EXPLAIN PLAN: ' + error);
+        }
+        explain.executionStats = { nReturned, executionTimeMillis, plan };
+      } finally {
+        await conn.execute('ALTER SESSION SET STATISTICS_LEVEL = TYPICAL');
+      }
     }
+    return explain;
   }
 
   //CDB 17-11 fix
 
-  async distinct(field, query) {
-    //return this._oracleCollection.distinct(field, query);
-    const objects = await this._oracleCollection.find().filter(query).getDocuments();
-    const arr = [];
-    for (const obj in objects) {
-      const content = _.get(objects[obj].getContent(), field);
-      Array.isArray(content) ? arr.push(...content) : arr.push(content);
+  async distinct(field, query, { readPreference } = {}) {
+    let localConn = null;
+    try {
+      const { conn, collection } = await this.getCollectionConnection(null, readPreference);
+      localConn = conn;
+      // Predicates QBE has no operator for are run in SQL, as in find
+      const contents = needsSQL(query)
+        ? await this._findSQL(localConn, collection, query, { keys: [field] })
+        : (await collection.find().filter(query).getDocuments()).map(doc => doc.getContent());
+      const arr = [];
+      for (const obj in contents) {
+        const content = _.get(contents[obj], field);
+        Array.isArray(content) ? arr.push(...content) : arr.push(content);
+      }
+      //let distinctObjects = [...new Set(arr)];
+      return [...new Set(arr)];
+    } finally {
+      await this._closeConnection(localConn);
     }
-    //let distinctObjects = [...new Set(arr)];
-    return [...new Set(arr)];
   }
   //CDB-END
 
+  // Counts matching documents in the database instead of fetching them.
+  // For an unfiltered count the optimizer statistics are used when they
+  // report at least estimatedCountThreshold rows
+  async count(
+    query,
+    { estimatedCountThreshold, hint, maxTimeMS, readPreference, transactionalSession } = {}
+  ) {
+    let localConn = null;
+
+    logger.verbose('in Collection count query = ' + JSON.stringify(query));
+    // The QBE rewrites only apply to SODA, SQL predicates use the query as is
+    if (!needsSQL(query)) {
+      query = this._fixupQuery(query);
+    }
+    if (query === null) {
+      return 0;
+    }
+    return this.getCollectionConnection(transactionalSession, readPreference)
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        this._setCallTimeout(localConn, maxTimeMS);
+        if (estimatedCountThreshold !== undefined && Object.keys(query).length === 0) {
+          const estimate = await this._estimatedCount(localConn, collection);
+          if (estimate !== null && estimate >= estimatedCountThreshold) {
+            return estimate;
+          }
+        }
+        if (needsSQL(query)) {
+          const binds = {};
+          const hintSQL = hint ? `/*+ ${hint} */ ` : '';
+          const result = await localConn.execute(
+            `SELECT ${hintSQL}COUNT(*) AS "count" FROM ${this.getTableName(collection)}
+              WHERE ${transformWhereToSQL(query, binds)}`,
+            binds,
+            { outFormat: oracledb.OUT_FORMAT_OBJECT }
+          );
+          return result.rows[0].count;
+        }
+        let findOperation = collection.find().filter(query);
+        if (hint) {
+          findOperation = findOperation.hint(String(hint));
+        }
+        const result = await findOperation.count();
+        return result.count;
+      })
+      .catch(error => {
+        logger.error('Collection count ERROR: ', error);
+        throw this._timeoutError(error, localConn);
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn, transactionalSession);
+          localConn = null;
+        }
+      });
+  }
+
+  // Row count from the last statistics gathering, null if never gathered
+  async _estimatedCount(conn, collection) {
+    const { schemaName, tableName } = collection.metaData;
+    const result = await conn.execute(
+      `SELECT NUM_ROWS FROM ALL_TABLES
+        WHERE OWNER = NVL(:owner, SYS_CONTEXT('USERENV', 'CURRENT_SCHEMA'))
+          AND TABLE_NAME = :tableName`,
+      { owner: schemaName || null, tableName },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return result.rows[0].NUM_ROWS;
+  }
+
+  // Runs an aggregate pipeline as one SQL statement over the collection table
+  async aggregate(pipeline, { fieldTypes, explain, maxTimeMS, readPreference } = {}) {
+    let localConn = null;
+
+    logger.verbose('in Collection aggregate pipeline = ' + JSON.stringify(pipeline));
+    return this.getCollectionConnection(null, readPreference)
+      .then(({ conn, collection }) => {
+        localConn = conn;
+        this._setCallTimeout(localConn, maxTimeMS);
+        const binds = {};
+        const returning = this.jsonSQLtype === 'JSON' ? 'JSON' : 'CLOB';
+        const sql = transformPipelineToSQL(
+          pipeline,
+          this.getTableName(collection),
+          fieldTypes,
+          returning,
+          binds
+        );
+        logger.verbose('aggregate sql = ' + sql);
+        if (explain) {
+          return this._explain(localConn, sql, binds, explain, pipeline);
+        }
+        return localConn
+          .execute(sql, binds, {
+            outFormat: oracledb.OUT_FORMAT_OBJECT,
+            fetchInfo: { DOC: { type: oracledb.STRING } },
+          })
+          .then(result => result.rows.map(row => JSON.parse(row.DOC)));
+      })
+      .catch(error => {
+        logger.error('Collection aggregate ERROR: ', error);
+        throw this._timeoutError(error, localConn);
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn);
+          localConn = null;
+        }
+      });
+  }
+
   async updateOne(query, update) {
     logger.verbose('UpdateOne calling findOneandUpdate');
     return this.findOneAndUpdate(query, update, null);
   }
 
-  async insertOne(object) {
+  async insertOne(object, transactionalSession) {
     let localConn = null;
 
-    return this.getCollectionConnection()
-      .then(conn => {
+    return this.getCollectionConnection(transactionalSession)
+      .then(({ conn, collection }) => {
         localConn = conn;
         localConn.execute(ddlTimeOut);
-        const result = this._oracleCollection.insertOne(object);
+        const result = collection.insertOne(object);
         return result;
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn, transactionalSession);
           localConn = null;
         }
       })
@@ -1220,9 +1498,14 @@ export default class OracleCollection {
 
     logger.verbose('entered drop for ' + this._name);
     return this.getCollectionConnection()
-      .then(conn => {
+      .then(async ({ conn, collection }) => {
         localConn = conn;
-        return this._oracleCollection.drop();
+        // The purge jobs would fail on the dropped table
+        const policies = await this._expiryPolicies(localConn);
+        for (const policy of policies) {
+          await this._dropExpiryPolicy(localConn, policy.index);
+        }
+        return collection.drop();
       })
       .then(result => {
         if (result) {
@@ -1234,7 +1517,7 @@ export default class OracleCollection {
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn);
           localConn = null;
         }
       })
@@ -1251,13 +1534,13 @@ export default class OracleCollection {
     // for now, do it the old fashioned way with collection.find.remove
     let localConn = null;
     return this.getCollectionConnection()
-      .then(conn => {
+      .then(({ conn, collection }) => {
         localConn = conn;
-        return this._oracleCollection.find().remove();
+        return collection.find().remove();
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn);
           localConn = null;
         }
       })
@@ -1282,6 +1565,15 @@ export default class OracleCollection {
     return this._name;
   }
 
+  // Quoted name of the table behind a collection handle from getCollectionConnection
+  getTableName(collection) {
+    const { schemaName, tableName } = collection.metaData;
+    if (schemaName) {
+      return quoteIdentifier(schemaName) + '.' + quoteIdentifier(tableName);
+    }
+    return quoteIdentifier(tableName);
+  }
+
   _ensureSparseUniqueIndexInBackground(indexRequest) {
     // TODO rewrite params to suit oracle soda
     logger.verbose(
@@ -1291,61 +1583,151 @@ export default class OracleCollection {
     return this._createIndex(indexRequest);
   }
 
+  // Function-based index on the collation keys caseInsensitive finds compare, so a
+  // lookup such as login by email is index backed. Index names are unique in a schema,
+  // the table name is appended like the _id index
+  async _createCaseInsensitiveIndex(indexName, fieldNames) {
+    let localConn = null;
+
+    return this.getCollectionConnection()
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const expressions = fieldNames.map(field => caseInsensitiveSQL('JSON_DOCUMENT', field));
+        const sql = `CREATE INDEX ${quoteIdentifier(indexName + this._name)}
+          ON ${this.getTableName(collection)} (${expressions.join(', ')})`;
+        logger.verbose('_createCaseInsensitiveIndex sql = ' + sql);
+        await localConn.execute(ddlTimeOut);
+        await localConn.execute(sql);
+      })
+      .catch(error => {
+        // ORA-00955 the name is in use, ORA-01408 the expressions are already indexed
+        if (error.errorNum !== 955 && error.errorNum !== 1408) {
+          logger.error('_createCaseInsensitiveIndex throws ' + error);
+          throw error;
+        }
+        logger.verbose('Index ' + indexName + ' already exists');
+      })
+      .then(() => {
+        this._recordIndex({ name: indexName, fields: fieldNames.map(path => ({ path })) });
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn);
+          localConn = null;
+        }
+      });
+  }
+
+  // JSON search index for $text searches. It is on the whole document and a table has
+  // one, the text indexes of other fields are recorded against the one that exists
+  async _createSearchIndex(indexName, fieldNames) {
+    let localConn = null;
+
+    return this.getCollectionConnection()
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const parameters = await this._textParameters(localConn);
+        const sql = `CREATE SEARCH INDEX ${quoteIdentifier(indexName + this._name)}
+          ON ${this.getTableName(collection)} (JSON_DOCUMENT) FOR JSON ${parameters}`;
+        logger.verbose('_createSearchIndex sql = ' + sql);
+        await localConn.execute(ddlTimeOut);
+        await localConn.execute(sql);
+      })
+      .catch(error => {
+        // ORA-00955 the name is in use, ORA-29879 the table has a search index
+        if (error.errorNum !== 955 && error.errorNum !== 29879) {
+          logger.error('_createSearchIndex throws ' + error);
+          throw error;
+        }
+        logger.verbose('Search index for ' + indexName + ' already exists');
+      })
+      .then(() => {
+        this._recordIndex({
+          name: indexName,
+          fields: fieldNames.map(path => ({ path, text: true })),
+        });
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn);
+          localConn = null;
+        }
+      });
+  }
+
+  // Creating the preferences needs CTX_DDL, without it the defaults are used, searches
+  // match diacritics exactly and words are stemmed in the language of the database.
+  // Returns the PARAMETERS clause of the search index
+  async _textParameters(conn) {
+    try {
+      await conn.execute(
+        `BEGIN
+          BEGIN
+            CTX_DDL.CREATE_PREFERENCE('${textLexer}', 'BASIC_LEXER');
+            CTX_DDL.SET_ATTRIBUTE('${textLexer}', 'BASE_LETTER', 'YES');
+          EXCEPTION WHEN OTHERS THEN
+            -- DRG-10701 the preference exists
+            IF INSTR(SQLERRM, 'DRG-10701') = 0 THEN RAISE; END IF;
+          END;
+          BEGIN
+            CTX_DDL.CREATE_PREFERENCE('${textWordlist}', 'BASIC_WORDLIST');
+            CTX_DDL.SET_ATTRIBUTE('${textWordlist}', 'STEMMER', 'ENGLISH');
+          EXCEPTION WHEN OTHERS THEN
+            IF INSTR(SQLERRM, 'DRG-10701') = 0 THEN RAISE; END IF;
+          END;
+        END;`
+      );
+      return `PARAMETERS('LEXER ${textLexer} WORDLIST ${textWordlist}')`;
+    } catch (error) {
+      logger.info('Search index uses the default preferences: ' + error.message);
+      return '';
+    }
+  }
+
+  // Text indexes share the search index of the table, it is dropped with the last of them
+  async _dropSearchIndex(conn, collection, indexName) {
+    const others = this.indexes.filter(
+      item => Object.keys(item)[0] !== indexName && isTextIndex(item)
+    );
+    if (others.length > 0) {
+      return { dropped: true };
+    }
+    const { schemaName, tableName } = collection.metaData;
+    const result = await conn.execute(
+      `SELECT INDEX_NAME AS "name" FROM ALL_INDEXES
+        WHERE TABLE_OWNER = NVL(:owner, USER) AND TABLE_NAME = :tableName
+          AND ITYP_OWNER = 'CTXSYS'`,
+      { owner: schemaName || null, tableName },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    for (const row of result.rows) {
+      await conn.execute(`DROP INDEX ${quoteIdentifier(row.name)}`);
+    }
+    return { dropped: result.rows.length > 0 };
+  }
+
   async _createIndex(indexSpec) {
     let localConn = null;
 
     logger.verbose('_createIndex index spec is ' + JSON.stringify(indexSpec));
     return await this.getCollectionConnection()
-      .then(async conn => {
+      .then(async ({ conn, collection }) => {
         localConn = conn;
         await localConn.execute(ddlTimeOut);
-        await this._oracleCollection.createIndex(indexSpec);
-        return Promise.resolve;
-      })
-      .then(result => {
-        // Parse expects _id index in Schema to be
-        // _metadata: { indexes: { _id_: { _id: 1 }, name_1: { name: 1 } } }
-        const idx = { [indexSpec.fields[0].path]: 1 };
-        if (indexSpec.fields[0].path === '_id') {
-          //          indexSpec.fields[0].path = '_id_';
-          indexSpec.name = '_id_';
-        }
-        //        const obj = { [indexSpec.fields[0].path]: [idx] };
-        const obj = { [indexSpec.name]: [idx] };
-        this.indexes.push(obj);
-        return result;
+        await collection.createIndex(indexSpec);
+        this._recordIndex(indexSpec);
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn);
           localConn = null;
         }
       })
       .catch(error => {
         if (error.errorNum === 40733) {
-          /*
-          Rebuild internal indexes array on server restart from schema indexes
-          */
-          const found = this.indexes.find(item => {
-            // Parse expects _id index in Schema to be
-            // _metadata: { indexes: { _id_: { _id: 1 }, name_1: { name: 1 } } }
-            if (indexSpec.fields[0].path === '_id') {
-              indexSpec.fields[0].path = '_id_';
-            }
-            return Object.keys(item)[0] === indexSpec.fields[0].path;
-          });
-
-          if (typeof found === 'undefined') {
-            const idx = { [indexSpec.fields[0].path]: 1 };
-            if (indexSpec.fields[0].path === '_id') {
-              indexSpec.name = '_id_';
-            }
-            //            const obj = { [indexSpec.fields[0].path]: [idx] };
-            const obj = { [indexSpec.name]: [idx] };
-            this.indexes.push(obj);
-            return Promise.resolve;
-          }
+          // The index exists, after a server restart it is added to the indexes array again
           logger.verbose('Index' + JSON.stringify(indexSpec) + ' already exists');
+          this._recordIndex(indexSpec);
         } else {
           logger.error('createIndex throws ' + error);
           throw error;
@@ -1353,20 +1735,255 @@ export default class OracleCollection {
       });
   }
 
-  getIndexes(className) {
+  // Keeps an index in the Parse form { name: { field: 1, other: -1 } }.
+  // Parse expects the _id index in Schema to be
+  // _metadata: { indexes: { _id_: { _id: 1 }, name_1: { name: 1 } } }
+  _recordIndex(indexSpec) {
+    const name =
+      indexSpec.fields.length === 1 && indexSpec.fields[0].path === '_id' ? '_id_' : indexSpec.name;
+    const key = {};
+    indexSpec.fields.forEach(field => {
+      key[field.path] = field.text ? 'text' : field.order === 'desc' ? -1 : 1;
+    });
+    const found = this.indexes.find(item => Object.keys(item)[0] === name);
+    if (typeof found === 'undefined') {
+      this.indexes.push({ [name]: key });
+    } else {
+      found[name] = key;
+    }
+  }
+
+  // A TTL index, an index on a Date field and an expiry policy that removes a document
+  // expireAfterSeconds after the date in the field. Creating it again replaces the policy
+  async _createExpiryPolicy(indexSpec, expireAfterSeconds) {
+    if (indexSpec.fields.length !== 1) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'A TTL index must be on a single field');
+    }
+    if (!Number.isInteger(expireAfterSeconds) || expireAfterSeconds < 0) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        `expireAfterSeconds must be a non-negative integer, got '${expireAfterSeconds}'`
+      );
+    }
+    await this._createIndex(indexSpec);
+
+    const field = indexSpec.fields[0].path;
+    let localConn = null;
+    return this.getCollectionConnection()
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const action = `BEGIN
+          LOOP
+            DELETE FROM ${this.getTableName(collection)}
+             WHERE JSON_VALUE(JSON_DOCUMENT, ${jsonPath(field)} RETURNING TIMESTAMP NULL ON ERROR)
+                   <= SYS_EXTRACT_UTC(SYSTIMESTAMP) - NUMTODSINTERVAL(${expireAfterSeconds}, 'SECOND')
+               AND ROWNUM <= ${expiryBatchSize};
+            EXIT WHEN SQL%ROWCOUNT = 0;
+            COMMIT;
+          END LOOP;
+        END;`;
+        const comments = JSON.stringify({
+          collection: this._name,
+          index: indexSpec.name,
+          field,
+          expireAfterSeconds,
+        });
+        logger.verbose('_createExpiryPolicy ' + comments);
+        await localConn.execute(
+          `BEGIN
+            BEGIN
+              DBMS_SCHEDULER.DROP_JOB(:name, force => TRUE);
+            EXCEPTION WHEN OTHERS THEN
+              -- ORA-27475 there is no job to replace
+              IF SQLCODE != -27475 THEN RAISE; END IF;
+            END;
+            DBMS_SCHEDULER.CREATE_JOB(
+              job_name => :name,
+              job_type => 'PLSQL_BLOCK',
+              job_action => :action,
+              repeat_interval => :repeatInterval,
+              enabled => TRUE,
+              comments => :comments);
+          END;`,
+          {
+            name: this._expiryJobName(indexSpec.name),
+            action,
+            repeatInterval: expiryInterval,
+            comments,
+          }
+        );
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn);
+          localConn = null;
+        }
+      })
+      .catch(error => {
+        logger.error('_createExpiryPolicy throws ' + error);
+        throw error;
+      });
+  }
+
+  // Job names are unique in a schema and limited in length, so they are made from a
+  // hash of the collection and index names. The names themselves are in the job comments
+  _expiryJobName(indexName) {
+    const hash = crypto.createHash('sha256').update(this._name + '.' + indexName);
+    return expiryJobPrefix + hash.digest('hex').slice(0, 24).toUpperCase();
+  }
+
+  // The expiry policies of the collection, { index, field, expireAfterSeconds }
+  async _expiryPolicies(conn) {
+    const result = await conn.execute(
+      `SELECT COMMENTS AS "comments" FROM USER_SCHEDULER_JOBS
+        WHERE JOB_NAME LIKE :prefix ESCAPE '\\'`,
+      { prefix: expiryJobPrefix.replace(/_/g, '\\_') + '%' },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows
+      .map(row => {
+        try {
+          return JSON.parse(row.comments);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(policy => policy && policy.collection === this._name);
+  }
+
+  async _dropExpiryPolicy(conn, indexName) {
+    await conn.execute(
+      `BEGIN
+        DBMS_SCHEDULER.DROP_JOB(:name, force => TRUE);
+      EXCEPTION WHEN OTHERS THEN
+        IF SQLCODE != -27475 THEN RAISE; END IF;
+      END;`,
+      { name: this._expiryJobName(indexName) }
+    );
+  }
+
+  // The field of a unique index, for the duplicated_field of a DUPLICATE_VALUE error.
+  // Indexes this server created are known by name, others are read from the index
+  // expression in the data dictionary. Returns null when the field cannot be told
+  async _uniqueIndexField({ owner, name }) {
+    const known = this.indexes.find(
+      item => Object.keys(item)[0].toUpperCase() === name.toUpperCase()
+    );
+    if (known) {
+      return Object.keys(Object.values(known)[0])[0];
+    }
+
+    let localConn = null;
+    try {
+      ({ conn: localConn } = await this.getCollectionConnection());
+      const result = await localConn.execute(
+        `SELECT COLUMN_EXPRESSION AS "expression" FROM ALL_IND_EXPRESSIONS
+          WHERE INDEX_OWNER = :owner AND INDEX_NAME = :name ORDER BY COLUMN_POSITION`,
+        { owner, name },
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      return result.rows.length > 0 ? indexExpressionPath(result.rows[0].expression) : null;
+    } finally {
+      await this._closeConnection(localConn);
+    }
+  }
+
+  // The indexes on the table of the collection in the Parse form { name: { field: 1 } },
+  // read from the data dictionary so indexes created before a restart or by a DBA are
+  // included. Indexes that are not on JSON paths, like the primary key, are left out.
+  // A TTL index has the expireAfterSeconds of its job next to its key, not in it
+  async getIndexes(className) {
     logger.verbose('OracleCollection getIndexes className = ' + className);
+    let localConn = null;
 
-    // There is an odd case where _id is not added to schema document until server restart
-    // If _id_ does not exist in indexes array add it to returned array.
-    // It does exist on the actual Collection
-    const found = this.indexes.find(item => {
-      return Object.keys(item)[0] === '_id_';
+    return this.getCollectionConnection()
+      .then(async ({ conn, collection }) => {
+        localConn = conn;
+        const { schemaName, tableName } = collection.metaData;
+        const result = await localConn.execute(
+          `SELECT c.INDEX_NAME AS "name", c.COLUMN_NAME AS "column", c.DESCEND AS "descend",
+                  e.COLUMN_EXPRESSION AS "expression"
+             FROM ALL_IND_COLUMNS c
+             LEFT JOIN ALL_IND_EXPRESSIONS e
+               ON e.INDEX_OWNER = c.INDEX_OWNER AND e.INDEX_NAME = c.INDEX_NAME
+              AND e.COLUMN_POSITION = c.COLUMN_POSITION
+            WHERE c.TABLE_OWNER = NVL(:owner, USER) AND c.TABLE_NAME = :tableName
+            ORDER BY c.INDEX_NAME, c.COLUMN_POSITION`,
+          { owner: schemaName || null, tableName },
+          { outFormat: oracledb.OUT_FORMAT_OBJECT }
+        );
+        this.indexes = this._indexesFromColumns(result.rows);
+        const policies = await this._expiryPolicies(localConn);
+        policies.forEach(policy => {
+          const found = this.indexes.find(item => Object.keys(item)[0] === policy.index);
+          if (found) {
+            found.expireAfterSeconds = policy.expireAfterSeconds;
+          }
+        });
+        logger.verbose('getIndexes returns ' + JSON.stringify(this.indexes));
+        return this.indexes;
+      })
+      .finally(async () => {
+        if (localConn) {
+          await this._closeConnection(localConn);
+          localConn = null;
+        }
+      })
+      .catch(error => {
+        logger.error('error during getIndexes = ' + error);
+        throw error;
+      });
+  }
+
+  // Groups index columns by index. The names come from the data dictionary alone, so they
+  // are the same after a restart and for indexes created by a DBA. The _id index is named
+  // _id_ as Parse expects, and the table name the case-insensitive and search indexes
+  // have appended in the database is removed
+  _indexesFromColumns(rows) {
+    const byName = new Map();
+    rows.forEach(row => {
+      if (!byName.has(row.name)) {
+        byName.set(row.name, []);
+      }
+      byName.get(row.name).push(row);
     });
-    if (typeof found === 'undefined') {
-      this.indexes.push({ _id_: { _id: 1 } });
+
+    const withoutTableName = dbName => {
+      const suffix = this._name.toUpperCase();
+      return dbName.length > suffix.length && dbName.toUpperCase().endsWith(suffix)
+        ? dbName.slice(0, -suffix.length)
+        : dbName;
+    };
+
+    const indexes = [];
+    byName.forEach((columns, dbName) => {
+      // The JSON search index is on the whole document, the fields searched are not known
+      if (columns.length === 1 && !columns[0].expression && columns[0].column === 'JSON_DOCUMENT') {
+        indexes.push({ [withoutTableName(dbName)]: { '$**': 'text' } });
+        return;
+      }
+      const paths = columns.map(column => indexExpressionPath(column.expression));
+      if (paths.includes(null)) {
+        return;
+      }
+      let name = dbName;
+      if (dbName.toUpperCase() === ('ididx' + this._name).toUpperCase()) {
+        name = '_id_';
+      } else if (columns.some(column => /NLSSORT/i.test(column.expression))) {
+        name = withoutTableName(dbName);
+      }
+      const key = {};
+      paths.forEach((path, i) => {
+        key[path] = columns[i].descend === 'DESC' ? -1 : 1;
+      });
+      indexes.push({ [name]: key });
+    });
+
+    // The _id index exists on every collection
+    if (!indexes.find(item => Object.keys(item)[0] === '_id_')) {
+      indexes.push({ _id_: { _id: 1 } });
     }
-    logger.verbose('getIndexes returns ' + JSON.stringify(this.indexes));
-    return this.indexes;
+    return indexes;
   }
 
   async dropIndex(indexName) {
@@ -1374,14 +1991,19 @@ export default class OracleCollection {
     let localConn = null;
 
     const result = await this.getCollectionConnection()
-      .then(async conn => {
+      .then(async ({ conn, collection }) => {
         localConn = conn;
-        const result = await this._oracleCollection.dropIndex(indexName);
+        await this._dropExpiryPolicy(localConn, indexName);
+        const known = this.indexes.find(item => Object.keys(item)[0] === indexName);
+        if (known && isTextIndex(known)) {
+          return this._dropSearchIndex(localConn, collection, indexName);
+        }
+        const result = await collection.dropIndex(indexName);
         return result;
       })
       .finally(async () => {
         if (localConn) {
-          await localConn.close();
+          await this._closeConnection(localConn);
           localConn = null;
         }
       })
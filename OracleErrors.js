@@ -0,0 +1,98 @@
+// Copyright (c) 2023, Oracle and/or its affiliates.
+// Licensed under the Universal Permissive License v 1.0 as shown at https://oss.oracle.com/licenses/upl/
+var Parse = require('parse/node').Parse;
+
+/*
+  Translation of the errors raised by the database (ORA-), the Oracle Client (DPI-) and
+  node-oracledb (NJS-) into Parse errors, so clients get the Parse error code instead of
+  an internal server error with the Oracle message. The original error is kept as
+  underlyingError. Errors not in the table are passed on unchanged.
+*/
+const errorTable = [
+  {
+    codes: ['ORA-00001'],
+    code: Parse.Error.DUPLICATE_VALUE,
+    message: 'A duplicate value for a field with unique values was provided',
+  },
+  {
+    // Call interrupted by callTimeout or cancelled
+    codes: ['ORA-01013', 'DPI-1067', 'NJS-123'],
+    code: Parse.Error.TIMEOUT,
+    message: 'Query exceeded maxTimeMS',
+  },
+  {
+    // Invalid QBE filter, JSON path, number or date in a query
+    codes: ['ORA-40676', 'ORA-40597', 'ORA-40442', 'ORA-01722', 'ORA-01858', 'ORA-01861'],
+    code: Parse.Error.INVALID_QUERY,
+    message: 'Invalid query',
+  },
+  {
+    // The table of the collection or the document is gone
+    codes: ['ORA-00942', 'ORA-40626'],
+    code: Parse.Error.OBJECT_NOT_FOUND,
+    message: 'Object not found',
+  },
+  {
+    // Login, listener and lost connections, and an exhausted or closed pool
+    codes: [
+      'ORA-01017',
+      'ORA-28000',
+      'ORA-03113',
+      'ORA-03114',
+      'ORA-03135',
+      'ORA-12154',
+      'ORA-12170',
+      'ORA-12514',
+      'ORA-12541',
+      'ORA-12543',
+      'DPI-1010',
+      'DPI-1080',
+      'NJS-040',
+      'NJS-064',
+      'NJS-065',
+      'NJS-076',
+      'NJS-500',
+      'NJS-503',
+    ],
+    code: Parse.Error.CONNECTION_FAILED,
+    message: 'Could not connect to the database',
+  },
+];
+
+// ORA-00001, DPI-1067 ... at the start of the message
+const errorPrefix = error =>
+  error && typeof error.message === 'string'
+    ? (error.message.match(/^(ORA|DPI|NJS)-\d+/) || [])[0]
+    : undefined;
+
+function translateError(error) {
+  if (!error || error instanceof Parse.Error) {
+    return error;
+  }
+  const prefix = errorPrefix(error);
+  const entry = prefix && errorTable.find(item => item.codes.includes(prefix));
+  if (!entry) {
+    return error;
+  }
+  const translated = new Parse.Error(entry.code, entry.message);
+  translated.underlyingError = error;
+  return translated;
+}
+
+// The owner and name of the index an ORA-00001 was raised for,
+// "ORA-00001: unique constraint (ADMIN.index_name) violated"
+function uniqueIndexFromError(error) {
+  if (errorPrefix(error) !== 'ORA-00001') {
+    return null;
+  }
+  const matches = error.message.match(/\(([^.()]+)\.([^()]+)\)/);
+  if (!matches) {
+    return null;
+  }
+  return { owner: matches[1], name: matches[2] };
+}
+
+module.exports = {
+  translateError,
+  uniqueIndexFromError,
+};
@@ -0,0 +1,964 @@
+// Copyright (c) 2023, Oracle and/or its affiliates.
+// Licensed under the Universal Permissive License v 1.0 as shown at https://oss.oracle.com/licenses/upl/
+var Parse = require('parse/node').Parse;
+const oracledb = require('oracledb');
+
+/*
+  SQL/JSON helpers for the tables behind SODA collections.
+
+  Most operations go through the SODA API with a QBE filter. The helpers here are used
+  where SODA has no equivalent, they compile the same Oracle format queries produced by
+  transformWhere into SQL predicates over the JSON content column.
+*/
+
+const quoteIdentifier = name => `"${name}"`;
+
+const quoteLiteral = text => `'${String(text).replace(/'/g, "''")}'`;
+
+// String literal inside a SQL/JSON path expression
+const quotePathString = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// a.b.0 => ."a"."b"[0]
+const pathSteps = field =>
+  field
+    .split('.')
+    .map(step => (/^\d+$/.test(step) ? `[${step}]` : `.${quotePathString(step)}`))
+    .join('');
+
+// SQL literal holding the path of a field, '$."a"."b"'
+const jsonPath = field => quoteLiteral('$' + pathSteps(field));
+
+const addBind = (binds, value) => {
+  const name = 'b' + Object.keys(binds).length;
+  binds[name] = value;
+  return name;
+};
+
+/*
+  Conditions are collected as SQL/JSON path filters, @ is the value of the field and
+  every value is handed to the path through a PASSING variable.
+*/
+class PathFilter {
+  constructor(binds) {
+    this.binds = binds;
+    this.passing = [];
+  }
+
+  value(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+      return String(value);
+    }
+    const name = addBind(this.binds, value instanceof Date ? value : String(value));
+    if (value instanceof Date) {
+      this.passing.push(`SYS_EXTRACT_UTC(:${name}) AS "${name}"`);
+    } else {
+      this.passing.push(`:${name} AS "${name}"`);
+    }
+    return '$' + name;
+  }
+
+  // Compares the current item with a scalar, dates are compared as timestamps.
+  // Objects are compared whole with itemInSQL
+  compare(item, operator, value) {
+    const left = value instanceof Date ? `${item}.timestamp()` : item;
+    return `${left} ${operator} ${this.value(value)}`;
+  }
+
+  regex(item, pattern, options) {
+    let filter = `${item} like_regex ${quotePathString(pattern)}`;
+    const flags = (options || '')
+      .replace('s', 'n')
+      .split('')
+      .filter(flag => 'imnx'.includes(flag))
+      .join('');
+    if (flags) {
+      filter += ` flag ${quotePathString(flags)}`;
+    }
+    return filter;
+  }
+
+  exists(column, field, condition) {
+    const path = quoteLiteral('$' + pathSteps(field) + (condition ? `?(${condition})` : ''));
+    const passing = this.passing.length > 0 ? ' PASSING ' + this.passing.join(', ') : '';
+    return `JSON_EXISTS(${column}, ${path}${passing})`;
+  }
+}
+
+// The items of an array field, in order, as rows of JSON text. A field that is not an
+// array is its only item
+const arrayItemsSQL = (column, field) =>
+  `JSON_TABLE(${column}, ${quoteLiteral(
+    '$' + pathSteps(field) + '[*]'
+  )} COLUMNS (idx FOR ORDINALITY, item CLOB FORMAT JSON PATH '$'))`;
+
+// Whether the item of arrayItemsSQL equals any of the values. Like in Parse objects are
+// only equal with the same members, { a: 1 } is not equal to { a: 1, b: 2 }
+const itemInSQL = (values, binds) =>
+  '(' +
+  values.map(value => `JSON_EQUAL(item, :${addBind(binds, JSON.stringify(value))})`).join(' OR ') +
+  ')';
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  !Array.isArray(value);
+
+// Collation key of a string field for case-insensitive equality. Indexes created for
+// caseInsensitive queries use the same expression so the optimizer can match it
+const caseInsensitiveSQL = (column, field) => {
+  const value = `JSON_VALUE(${column}, ${jsonPath(field)} RETURNING VARCHAR2(2000))`;
+  return `NLSSORT(${value}, 'NLS_SORT=BINARY_CI')`;
+};
+
+/*
+  GeoJSON fields are compared with the SDO_GEOM functions, the tests the QBE operators
+  run: $near is SDO_WITHIN_DISTANCE, $within SDO_INSIDE and $intersects SDO_ANYINTERACT.
+  They need no spatial index. JSON_VALUE and FROM_GEOJSON both give SRID 4326
+*/
+const geoTolerance = 0.05;
+
+const geometrySQL = (column, field) =>
+  `JSON_VALUE(${column}, ${jsonPath(field)} RETURNING SDO_GEOMETRY)`;
+
+const geoJSONSQL = (value, binds) => {
+  if (!value || !value.$geometry) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'A geo query needs a $geometry');
+  }
+  return `SDO_UTIL.FROM_GEOJSON(:${addBind(binds, JSON.stringify(value.$geometry))})`;
+};
+
+function geoSQL(column, field, operator, value, binds) {
+  const geometry = geometrySQL(column, field);
+  const other = geoJSONSQL(value, binds);
+  switch (operator) {
+    case '$near': {
+      if (typeof value.$distance !== 'number' || !/^[a-z_]+$/i.test(value.$unit || 'meter')) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'bad $near: $distance or $unit');
+      }
+      const distance = addBind(binds, value.$distance);
+      const unit = addBind(binds, 'unit=' + (value.$unit || 'meter').toUpperCase());
+      return `SDO_GEOM.WITHIN_DISTANCE(${geometry}, :${distance}, ${other}, ${geoTolerance}, :${unit}) = 'TRUE'`;
+    }
+    case '$within':
+      return `SDO_GEOM.RELATE(${geometry}, 'INSIDE', ${other}, ${geoTolerance}) = 'INSIDE'`;
+    default:
+      return `SDO_GEOM.RELATE(${geometry}, 'ANYINTERACT', ${other}, ${geoTolerance}) = 'TRUE'`;
+  }
+}
+
+// Permission arrays hold case-sensitive user ids and role names, they are never
+// compared case-insensitively
+const permissionFields = ['_rperm', '_wperm'];
+
+const equalsSQL = (column, field, value, binds, caseInsensitive = false) => {
+  if (caseInsensitive && typeof value === 'string' && !permissionFields.includes(field)) {
+    // The exists test keeps the comparison from being unknown for a missing field,
+    // so $ne and $nin still match documents without it
+    const exists = new PathFilter(binds).exists(column, field);
+    const name = addBind(binds, value);
+    const equals = `${caseInsensitiveSQL(column, field)} = NLSSORT(:${name}, 'NLS_SORT=BINARY_CI')`;
+    return `(${exists} AND ${equals})`;
+  }
+  const filter = new PathFilter(binds);
+  if (value === null) {
+    // Parse treats a missing field the same as null
+    return `(NOT ${filter.exists(column, field)} OR ${filter.exists(column, field, '@ == null')})`;
+  }
+  if (value instanceof RegExp) {
+    return filter.exists(column, field, filter.regex('@', value.source, value.flags));
+  }
+  if (Array.isArray(value)) {
+    const name = addBind(binds, JSON.stringify(value));
+    return `JSON_EQUAL(JSON_QUERY(${column}, ${jsonPath(field)} RETURNING CLOB), :${name})`;
+  }
+  if (isPlainObject(value)) {
+    // The field or an item of it is the object
+    return `EXISTS (SELECT 1 FROM ${arrayItemsSQL(column, field)} WHERE ${itemInSQL(
+      [value],
+      binds
+    )})`;
+  }
+  return filter.exists(column, field, filter.compare('@', '==', value));
+};
+
+const comparisonOperators = {
+  $lt: '<',
+  $lte: '<=',
+  $gt: '>',
+  $gte: '>=',
+};
+
+const isOperatorObject = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  !Array.isArray(value) &&
+  Object.keys(value).some(key => key.startsWith('$'));
+
+// $language values a search can be run in. Stemming is a setting of the search index,
+// its wordlist stems English, so english, like Parse's default, stems the words and none
+// leaves them as they are. Other languages would be stemmed as English and are rejected
+const textLanguages = ['none', 'english', 'en'];
+
+// CONTAINS label of the $text search, SCORE of it is the $score of a document. Like
+// Mongo a query has at most one $text
+const textScoreLabel = 1;
+
+// Oracle Text operators, a word that is one of them is only searched for in braces
+const textReserved = [
+  'about',
+  'accum',
+  'and',
+  'bt',
+  'btg',
+  'bti',
+  'btp',
+  'equiv',
+  'fuzzy',
+  'haspath',
+  'inpath',
+  'mdata',
+  'minus',
+  'near',
+  'not',
+  'nt',
+  'ntg',
+  'nti',
+  'ntp',
+  'or',
+  'pt',
+  'rt',
+  'sqe',
+  'syn',
+  'tr',
+  'trsyn',
+  'tt',
+  'within',
+];
+
+// The words of a search string as the lexer splits them
+const textWords = text => text.match(/[\p{L}\p{N}]+/gu) || [];
+
+// A word not followed or preceded by another letter or digit
+const wordBoundary = '([^[:alnum:]]|$)';
+
+// Oracle Text defaults of FUZZY, the similarity a word needs and how many it expands to
+const fuzzySimilarity = 60;
+const fuzzyExpansions = 100;
+
+/*
+  CONTAINS on the JSON search index for a $text search of field. As in Mongo the words
+  of $search match any, "quoted phrases" must all match and -word or -"phrase" excludes.
+  The search index ignores case and diacritics, $caseSensitive and $diacriticSensitive
+  also match the terms with a regular expression on the field.
+
+  Words searched for, not phrases or excluded words, can instead match with FUZZY() for
+  $fuzzy, stemmed ($) for $stem or by sound (!) for $soundex. A fuzzy match is weighted
+  by its similarity, so closer spellings have a higher $score.
+*/
+function textSearchSQL(column, field, search, binds) {
+  const language = search.$language ? search.$language.toLowerCase() : undefined;
+  if (language !== undefined && !textLanguages.includes(language)) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `$language ${search.$language} is not supported by the Oracle Storage Adapter, only english and none are`
+    );
+  }
+  const stem = search.$stem || language !== 'none';
+  const term = word => {
+    if (textReserved.includes(word.toLowerCase())) {
+      return `{${word}}`;
+    }
+    if (search.$fuzzy) {
+      const similarity = search.$fuzzy.$similarity || fuzzySimilarity;
+      const expansions = search.$fuzzy.$expansions || fuzzyExpansions;
+      return `FUZZY(${word}, ${similarity}, ${expansions}, weight)`;
+    }
+    if (search.$soundex) {
+      return '!' + word;
+    }
+    return stem ? '$' + word : `{${word}}`;
+  };
+
+  const words = [];
+  const phrases = [];
+  const excluded = [];
+  (search.$search.match(/-?"[^"]*"|\S+/g) || []).forEach(token => {
+    const negated = token.startsWith('-');
+    const text = negated ? token.slice(1) : token;
+    const tokenWords = textWords(text);
+    if (tokenWords.length === 0) {
+      return;
+    }
+    if (text.startsWith('"')) {
+      (negated ? excluded : phrases).push(`{${tokenWords.join(' ')}}`);
+    } else if (negated) {
+      // Only the words searched for are expanded, an excluded word excludes just itself
+      excluded.push(...tokenWords.map(word => `{${word}}`));
+    } else {
+      words.push(...tokenWords.map(term));
+    }
+  });
+
+  // A search string with a phrase only matches documents with the phrase
+  const inPath = `INPATH (/${field.split('.').join('/')})`;
+  let query;
+  if (phrases.length > 0) {
+    query = phrases.map(phrase => `(${phrase} ${inPath})`).join(' AND ');
+  } else if (words.length > 0) {
+    query = `((${words.join(' OR ')}) ${inPath})`;
+  } else {
+    return '1 = 0';
+  }
+  if (excluded.length > 0) {
+    query = `(${query}) NOT ((${excluded.join(' OR ')}) ${inPath})`;
+  }
+  const clauses = [`CONTAINS(${column}, :${addBind(binds, query)}, ${textScoreLabel}) > 0`];
+
+  if (search.$caseSensitive || search.$diacriticSensitive) {
+    // Arrays of strings are searched too, their JSON text keeps the words apart
+    const value = `JSON_QUERY(${column}, ${jsonPath(
+      field
+    )} RETURNING CLOB WITH CONDITIONAL WRAPPER)`;
+    const flags = search.$caseSensitive ? 'c' : 'i';
+    // Words that match with typos or by sound are not spelled as searched
+    let patterns = [];
+    if (phrases.length > 0) {
+      patterns = phrases.map(phrase => textWords(phrase).join('[^[:alnum:]]+') + wordBoundary);
+    } else if (!search.$fuzzy && !search.$soundex) {
+      const alternatives = words.map(word => textWords(word)[0]).join('|');
+      patterns = [`(${alternatives})` + (stem ? '' : wordBoundary)];
+    }
+    patterns.forEach(pattern => {
+      const name = addBind(binds, '(^|[^[:alnum:]])' + pattern);
+      clauses.push(`REGEXP_LIKE(${value}, :${name}, '${flags}')`);
+    });
+  }
+  return clauses.join(' AND ');
+}
+
+// Whether a query has a $text search, a second one is an error as in Mongo
+const hasTextSearch = where => {
+  const count = JSON.stringify(where).split('"$text"').length - 1;
+  if (count > 1) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Too many text expressions');
+  }
+  return count === 1;
+};
+
+// Relevance of a document to the $text search of the query, its $score
+const textScoreSQL = () => `SCORE(${textScoreLabel})`;
+
+function transformConstraintToSQL(column, field, constraint, binds, caseInsensitive) {
+  if (!isOperatorObject(constraint)) {
+    return equalsSQL(column, field, constraint, binds, caseInsensitive);
+  }
+  const clauses = [];
+  for (const key of Object.keys(constraint)) {
+    const value = constraint[key];
+    switch (key) {
+      case '$eq':
+        clauses.push(equalsSQL(column, field, value, binds, caseInsensitive));
+        break;
+      case '$ne':
+        if (value === null) {
+          const filter = new PathFilter(binds);
+          clauses.push(
+            `(${filter.exists(column, field)} AND NOT ${filter.exists(column, field, '@ == null')})`
+          );
+        } else {
+          clauses.push(`NOT ${equalsSQL(column, field, value, binds, caseInsensitive)}`);
+        }
+        break;
+      case '$lt':
+      case '$lte':
+      case '$gt':
+      case '$gte': {
+        const filter = new PathFilter(binds);
+        clauses.push(
+          filter.exists(column, field, filter.compare('@', comparisonOperators[key], value))
+        );
+        break;
+      }
+      case '$in':
+      case '$nin': {
+        let inClause = '1 = 0';
+        if (value.length > 0) {
+          inClause =
+            '(' +
+            value.map(item => equalsSQL(column, field, item, binds, caseInsensitive)).join(' OR ') +
+            ')';
+        }
+        clauses.push(key === '$in' ? inClause : `NOT ${inClause}`);
+        break;
+      }
+      case '$all':
+        if (value.length === 0) {
+          clauses.push('1 = 0');
+        } else {
+          value.forEach(item => {
+            // $all of regexes is rewritten by transformConstraint
+            if (item && item['__FIELD__!!__']) {
+              clauses.push(
+                transformConstraintToSQL(
+                  column,
+                  field,
+                  item['__FIELD__!!__'],
+                  binds,
+                  caseInsensitive
+                )
+              );
+            } else {
+              clauses.push(equalsSQL(column, field, item, binds, caseInsensitive));
+            }
+          });
+        }
+        break;
+      case '$containedBy': {
+        // No item of the array may be outside the values
+        const outside = value.length > 0 ? ` WHERE NOT ${itemInSQL(value, binds)}` : '';
+        clauses.push(`NOT EXISTS (SELECT 1 FROM ${arrayItemsSQL(column, field)}${outside})`);
+        break;
+      }
+      case '$exists': {
+        const exists = new PathFilter(binds).exists(column, field);
+        clauses.push(value ? exists : `NOT ${exists}`);
+        break;
+      }
+      case '$regex': {
+        const filter = new PathFilter(binds);
+        clauses.push(filter.exists(column, field, filter.regex('@', value, constraint.$options)));
+        break;
+      }
+      case '$options':
+        // Handled together with $regex
+        break;
+      case '$lower': {
+        const filter = new PathFilter(binds);
+        clauses.push(
+          filter.exists(column, field, filter.regex('@.lower()', value.$regex, value.$options))
+        );
+        break;
+      }
+      case '$text':
+        clauses.push(textSearchSQL(column, field, value, binds));
+        break;
+      case '$near':
+      case '$within':
+      case '$intersects':
+        clauses.push(geoSQL(column, field, key, value, binds));
+        break;
+      case '$timestamp':
+        Object.keys(value).forEach(operator => {
+          clauses.push(
+            transformConstraintToSQL(
+              column,
+              field,
+              { [operator]: value[operator] },
+              binds,
+              caseInsensitive
+            )
+          );
+        });
+        break;
+      default:
+        throw new Parse.Error(
+          Parse.Error.INVALID_QUERY,
+          `${key} is not supported in SQL queries by the Oracle Storage Adapter`
+        );
+    }
+  }
+  return clauses.length > 0 ? clauses.join(' AND ') : '1 = 1';
+}
+
+// Compiles an Oracle format query (the output of transformWhere) into a SQL predicate
+// over the JSON column. Values are added to binds. caseInsensitive compares string
+// equality with the BINARY_CI collation, like a find with Parse's caseInsensitive option
+function transformWhereToSQL(where, binds, column = 'JSON_DOCUMENT', caseInsensitive = false) {
+  const clauses = [];
+  for (const key in where) {
+    const value = where[key];
+    switch (key) {
+      case '$and':
+      case '$or':
+      case '$nor': {
+        const subQueries = value
+          .filter(subQuery => Object.keys(subQuery).length > 0)
+          .map(
+            subQuery => '(' + transformWhereToSQL(subQuery, binds, column, caseInsensitive) + ')'
+          );
+        if (subQueries.length === 0) {
+          break;
+        }
+        if (key === '$and') {
+          clauses.push(subQueries.join(' AND '));
+        } else if (key === '$or') {
+          clauses.push('(' + subQueries.join(' OR ') + ')');
+        } else {
+          clauses.push('NOT (' + subQueries.join(' OR ') + ')');
+        }
+        break;
+      }
+      case '$text':
+      case '$near':
+      case '$within':
+      case '$intersects':
+        throw new Parse.Error(
+          Parse.Error.INVALID_QUERY,
+          `${key} is not supported in SQL queries by the Oracle Storage Adapter`
+        );
+      default:
+        clauses.push(transformConstraintToSQL(column, key, value, binds, caseInsensitive));
+    }
+  }
+  return clauses.length > 0 ? clauses.join(' AND ') : '1 = 1';
+}
+
+/*
+  Updates are compiled into JSON_TRANSFORM operations, so they run atomically in the
+  database against the current content of every document. Plain objects are merge
+  patched rather than replaced, transformUpdate collapses a dotted key update
+  {'a.b': 1} into {a: {b: 1}} and the other fields of a have to survive it. Keys
+  that are still dotted replace the nested field.
+*/
+class UpdateCompiler {
+  constructor(binds, column, returning) {
+    this.binds = binds;
+    this.column = column;
+    this.returning = returning;
+    this.filter = new PathFilter(binds);
+    this.operations = [];
+  }
+
+  // Native JSON binds keep dates as timestamps, the same as SODA stores them
+  jsonBind(value) {
+    if (this.returning === 'JSON') {
+      return ':' + addBind(this.binds, { type: oracledb.DB_TYPE_JSON, val: value });
+    }
+    return ':' + addBind(this.binds, JSON.stringify(value));
+  }
+
+  jsonValue(value) {
+    return this.jsonBind(value) + (this.returning === 'JSON' ? '' : ' FORMAT JSON');
+  }
+
+  // SQL variable of the path expressions, 1 while no item of the array field equals
+  // the value and 0 once one does
+  absent(field, value) {
+    const name = 'v' + this.filter.passing.length;
+    this.filter.passing.push(
+      `(SELECT CASE WHEN COUNT(*) = 0 THEN 1 ELSE 0 END FROM ${arrayItemsSQL(
+        this.column,
+        field
+      )} WHERE ${itemInSQL([value], this.binds)}) AS "${name}"`
+    );
+    return '$' + name;
+  }
+
+  // The items of the array field that equal none of the values, in order
+  without(field, values) {
+    const type = this.returning === 'JSON' ? 'JSON' : 'CLOB';
+    const items = `SELECT JSON_ARRAYAGG(item FORMAT JSON ORDER BY idx RETURNING ${type}) FROM ${arrayItemsSQL(
+      this.column,
+      field
+    )} WHERE NOT ${itemInSQL(values, this.binds)}`;
+    return `COALESCE((${items}), JSON_ARRAY(RETURNING ${type}))${
+      type === 'JSON' ? '' : ' FORMAT JSON'
+    }`;
+  }
+
+  compile(update) {
+    const patch = {};
+    for (const key of Object.keys(update)) {
+      const value = update[key];
+      switch (key) {
+        case '$unset':
+          Object.keys(value).forEach(field => {
+            this.operations.push(`REMOVE ${jsonPath(field)}`);
+          });
+          break;
+        case '$inc':
+          Object.keys(value).forEach(field => {
+            const name = addBind(this.binds, value[field]);
+            this.operations.push(
+              `SET ${jsonPath(field)} = NVL(JSON_VALUE(${this.column}, ${jsonPath(
+                field
+              )} RETURNING NUMBER), 0) + :${name}`
+            );
+          });
+          break;
+        case '$push':
+          Object.keys(value).forEach(field => {
+            value[field].$each.forEach(item => {
+              this.operations.push(
+                `APPEND ${jsonPath(field)} = ${this.jsonValue(item)} CREATE ON MISSING`
+              );
+            });
+          });
+          break;
+        case '$addToSet':
+          Object.keys(value).forEach(field => {
+            const seen = new Set();
+            value[field].$each.forEach(item => {
+              if (seen.has(JSON.stringify(item))) {
+                return;
+              }
+              seen.add(JSON.stringify(item));
+              // The root only matches while the item is not in the array yet
+              const absent = `${this.absent(field, item)} == 1`;
+              this.operations.push(
+                `APPEND ${quoteLiteral(`$?(${absent})` + pathSteps(field))} = ${this.jsonValue(
+                  item
+                )} CREATE ON MISSING`
+              );
+            });
+          });
+          break;
+        case '$pullAll':
+          Object.keys(value).forEach(field => {
+            // A missing field stays missing
+            if (value[field].length > 0) {
+              this.operations.push(
+                `SET ${jsonPath(field)} = ${this.without(field, value[field])} IGNORE ON MISSING`
+              );
+            }
+          });
+          break;
+        default:
+          if (key.includes('.')) {
+            // A dotted key replaces the nested field, the patch creates its parents
+            let parent = patch;
+            key
+              .split('.')
+              .slice(0, -1)
+              .forEach(step => {
+                parent[step] = parent[step] || {};
+                parent = parent[step];
+              });
+            this.operations.push(`SET ${jsonPath(key)} = ${this.jsonValue(value)}`);
+          } else if (
+            value !== null &&
+            typeof value === 'object' &&
+            !Array.isArray(value) &&
+            !(value instanceof Date) &&
+            Object.keys(value).length > 0
+          ) {
+            patch[key] = { ...patch[key], ...value };
+          } else {
+            // null and {} replace the field, a merge patch would drop or keep it
+            this.operations.push(`SET ${jsonPath(key)} = ${this.jsonValue(value)}`);
+          }
+      }
+    }
+
+    let expression = this.column;
+    if (Object.keys(patch).length > 0) {
+      expression = `JSON_MERGEPATCH(${expression}, ${this.jsonBind(patch)} RETURNING ${
+        this.returning
+      })`;
+    }
+    if (this.operations.length > 0) {
+      const passing =
+        this.filter.passing.length > 0 ? ' PASSING ' + this.filter.passing.join(', ') : '';
+      expression = `JSON_TRANSFORM(${expression}, ${this.operations.join(', ')} RETURNING ${
+        this.returning
+      }${passing})`;
+    }
+    return expression;
+  }
+}
+
+// Compiles an Oracle format update (the output of transformUpdate) into an expression
+// for the new content of the JSON column. returning is the SQL type of the column.
+function transformUpdateToSQL(update, binds, { column = 'JSON_DOCUMENT', returning } = {}) {
+  return new UpdateCompiler(binds, column, returning).compile(update);
+}
+
+/*
+  Aggregate pipelines are compiled into nested queries. Every stage selects two
+  columns, doc the JSON document and rn its position in the current ordering, so
+  $sort, $skip, $limit, $first and $last keep the order of the previous stages.
+
+  fieldTypes maps field names to number, string, date, boolean or json. JSON_VALUE
+  needs to know what it returns, fields not in the map are read as strings.
+*/
+const dateOperators = {
+  $year: 'YEAR',
+  $month: 'MONTH',
+  $dayOfMonth: 'DAY',
+  $hour: 'HOUR',
+  $minute: 'MINUTE',
+  $second: 'SECOND',
+};
+
+class PipelineCompiler {
+  constructor(table, fieldTypes, returning, binds) {
+    this.table = table;
+    this.types = { ...fieldTypes };
+    this.returning = returning;
+    this.binds = binds;
+  }
+
+  fieldSQL(field) {
+    const type = this.types[field] || 'string';
+    const path = jsonPath(field);
+    switch (type) {
+      case 'number':
+        return { sql: `JSON_VALUE(doc, ${path} RETURNING NUMBER)`, type };
+      case 'date':
+        return { sql: `JSON_VALUE(doc, ${path} RETURNING TIMESTAMP)`, type };
+      case 'json':
+        return { sql: `JSON_QUERY(doc, ${path} RETURNING ${this.returning})`, type };
+      default:
+        return { sql: `JSON_VALUE(doc, ${path} RETURNING VARCHAR2(4000))`, type };
+    }
+  }
+
+  // '$field', a literal, a date operator or an object of those
+  expressionSQL(expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+      return this.fieldSQL(expression.substring(1));
+    }
+    if (expression === null || expression === undefined) {
+      return { sql: 'NULL', type: 'string' };
+    }
+    if (typeof expression === 'number') {
+      return { sql: String(expression), type: 'number' };
+    }
+    if (typeof expression === 'string') {
+      return { sql: `:${addBind(this.binds, expression)}`, type: 'string' };
+    }
+    if (typeof expression === 'object') {
+      const keys = Object.keys(expression);
+      if (keys.length === 1 && dateOperators[keys[0]]) {
+        const date = this.expressionSQL(expression[keys[0]]);
+        return { sql: `EXTRACT(${dateOperators[keys[0]]} FROM ${date.sql})`, type: 'number' };
+      }
+      if (keys.some(key => key.startsWith('$'))) {
+        throw new Parse.Error(
+          Parse.Error.INVALID_QUERY,
+          `Unsupported aggregate expression ${JSON.stringify(expression)}`
+        );
+      }
+      const parts = keys.map(key => ({ key, value: this.expressionSQL(expression[key]) }));
+      return { sql: this.objectSQL(parts), type: 'json', parts };
+    }
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Unsupported aggregate expression ${JSON.stringify(expression)}`
+    );
+  }
+
+  // Value clause of JSON_OBJECT, text values that hold JSON are not quoted again
+  embedSQL({ sql, type }) {
+    if (type === 'boolean' || (type === 'json' && this.returning !== 'JSON')) {
+      return `${sql} FORMAT JSON`;
+    }
+    return sql;
+  }
+
+  objectSQL(parts) {
+    const members = parts.map(
+      ({ key, value }) => `${quoteLiteral(key)} VALUE ${this.embedSQL(value)}`
+    );
+    return `JSON_OBJECT(${members.join(', ')} RETURNING ${this.returning})`;
+  }
+
+  accumulatorSQL(name, accumulator) {
+    const operators = Object.keys(accumulator);
+    if (operators.length !== 1) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid accumulator for ${name}`);
+    }
+    const operator = operators[0];
+    const operand = this.expressionSQL(accumulator[operator]);
+    switch (operator) {
+      case '$sum':
+        if (operand.type === 'number' && typeof accumulator[operator] === 'number') {
+          return { sql: `COUNT(*) * ${operand.sql}`, type: 'number' };
+        }
+        return { sql: `NVL(SUM(${operand.sql}), 0)`, type: 'number' };
+      case '$avg':
+        return { sql: `AVG(${operand.sql})`, type: 'number' };
+      case '$min':
+      case '$max':
+      case '$first':
+      case '$last': {
+        if (operand.type === 'json') {
+          throw new Parse.Error(
+            Parse.Error.INVALID_QUERY,
+            `${operator} is only supported on scalar fields`
+          );
+        }
+        const sql = {
+          $min: `MIN(${operand.sql})`,
+          $max: `MAX(${operand.sql})`,
+          $first: `MIN(${operand.sql}) KEEP (DENSE_RANK FIRST ORDER BY rn)`,
+          $last: `MAX(${operand.sql}) KEEP (DENSE_RANK LAST ORDER BY rn)`,
+        }[operator];
+        return { sql, type: operand.type };
+      }
+      case '$push':
+        return {
+          sql: `JSON_ARRAYAGG(${this.embedSQL(operand)} ORDER BY rn RETURNING ${this.returning})`,
+          type: 'json',
+        };
+      default:
+        throw new Parse.Error(
+          Parse.Error.INVALID_QUERY,
+          `Unsupported aggregate accumulator ${operator}`
+        );
+    }
+  }
+
+  group(from, group) {
+    const id = this.expressionSQL(group._id === undefined ? null : group._id);
+    // A constant _id puts every document in a single group
+    const constant =
+      group._id === null ||
+      group._id === undefined ||
+      typeof group._id === 'number' ||
+      (typeof group._id === 'string' && !group._id.startsWith('$'));
+    const groupBy = id.parts ? id.parts.map(part => part.value.sql) : [id.sql];
+    const parts = [{ key: '_id', value: id }];
+    const types = { _id: id.type };
+    Object.keys(group)
+      .filter(name => name !== '_id')
+      .forEach(name => {
+        const value = this.accumulatorSQL(name, group[name]);
+        parts.push({ key: name, value });
+        types[name] = value.type;
+      });
+    this.types = types;
+    const grouping = constant ? ' HAVING COUNT(*) > 0' : ` GROUP BY ${groupBy.join(', ')}`;
+    return `SELECT ${this.objectSQL(
+      parts
+    )} AS doc, ROW_NUMBER() OVER (ORDER BY NULL) AS rn FROM (${from})${grouping}`;
+  }
+
+  project(from, project) {
+    const operations = [];
+    const keep = [];
+    const remove = [];
+    const types = {};
+    let keepId = true;
+    Object.keys(project).forEach(field => {
+      const value = project[field];
+      if (field === '_id' && !value) {
+        keepId = false;
+      } else if (value === 1 || value === true) {
+        keep.push(field);
+        types[field] = this.types[field];
+      } else if (value === 0 || value === false) {
+        remove.push(field);
+      } else {
+        const expression = this.expressionSQL(value);
+        operations.push(`SET ${jsonPath(field)} = ${this.embedSQL(expression)}`);
+        keep.push(field);
+        types[field] = expression.type;
+      }
+    });
+    if (keep.length > 0) {
+      if (keepId) {
+        keep.unshift('_id');
+        types._id = this.types._id;
+      }
+      operations.push('KEEP ' + keep.map(jsonPath).join(', '));
+      this.types = types;
+    } else {
+      if (!keepId) {
+        remove.push('_id');
+      }
+      remove.forEach(field => {
+        operations.push(`REMOVE ${jsonPath(field)}`);
+        delete this.types[field];
+      });
+    }
+    if (operations.length === 0) {
+      return from;
+    }
+    return `SELECT JSON_TRANSFORM(doc, ${operations.join(', ')}) AS doc, rn FROM (${from})`;
+  }
+
+  sort(from, sort) {
+    const orderBy = Object.keys(sort).map(field => {
+      let value = this.fieldSQL(field);
+      if (value.type === 'json' || value.type === 'boolean') {
+        value = { sql: `JSON_VALUE(doc, ${jsonPath(field)})` };
+      }
+      return sort[field] === -1 ? `${value.sql} DESC NULLS LAST` : `${value.sql} ASC NULLS FIRST`;
+    });
+    return `SELECT doc, ROW_NUMBER() OVER (ORDER BY ${orderBy.join(', ')}) AS rn FROM (${from})`;
+  }
+
+  compile(pipeline) {
+    let sql = `SELECT t.JSON_DOCUMENT AS doc, ROWNUM AS rn FROM ${this.table} t`;
+    pipeline.forEach(stage => {
+      const stageNames = Object.keys(stage);
+      if (stageNames.length !== 1) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Each pipeline stage needs one operator');
+      }
+      const stageName = stageNames[0];
+      const value = stage[stageName];
+      switch (stageName) {
+        case '$match':
+          sql = `SELECT doc, rn FROM (${sql}) WHERE ${transformWhereToSQL(
+            value,
+            this.binds,
+            'doc'
+          )}`;
+          break;
+        case '$group':
+          sql = this.group(sql, value);
+          break;
+        case '$project':
+          sql = this.project(sql, value);
+          break;
+        case '$sort':
+          sql = this.sort(sql, value);
+          break;
+        case '$skip':
+          sql = `SELECT doc, rn FROM (${sql}) ORDER BY rn OFFSET ${Number(value)} ROWS`;
+          break;
+        case '$limit':
+          sql = `SELECT doc, rn FROM (${sql}) ORDER BY rn FETCH FIRST ${Number(value)} ROWS ONLY`;
+          break;
+        case '$count':
+          sql = `SELECT JSON_OBJECT(${quoteLiteral(value)} VALUE COUNT(*) RETURNING ${
+            this.returning
+          }) AS doc, 1 AS rn FROM (${sql}) HAVING COUNT(*) > 0`;
+          this.types = { [value]: 'number' };
+          break;
+        default:
+          throw new Parse.Error(
+            Parse.Error.INVALID_QUERY,
+            `Aggregate stage ${stageName} is not supported by the Oracle Storage Adapter`
+          );
+      }
+    });
+    return `SELECT JSON_SERIALIZE(doc RETURNING CLOB) AS doc FROM (${sql}) ORDER BY rn`;
+  }
+}
+
+// Compiles an aggregate pipeline in Oracle format into one SQL query returning a DOC column
+function transformPipelineToSQL(pipeline, table, fieldTypes, returning, binds) {
+  return new PipelineCompiler(table, fieldTypes, returning, binds).compile(pipeline);
+}
+
+module.exports = {
+  quoteIdentifier,
+  quoteLiteral,
+  jsonPath,
+  addBind,
+  caseInsensitiveSQL,
+  hasTextSearch,
+  textScoreSQL,
+  transformWhereToSQL,
+  transformUpdateToSQL,
+  transformPipelineToSQL,
+};
@@ -296,14 +296,8 @@ function transformConstraint(constraint, field, count = false) {
         if (!(arr instanceof Array)) {
           throw new Parse.Error(Parse.Error.INVALID_JSON, `bad $containedBy: should be an array`);
         }
-        //CDB
-        /*
-          answer.$elemMatch = {
-            $nin: arr.map(transformer)
-          };
-          */
-        answer['$in'] = arr;
-        //CDB-END
+        // QBE has no operator for it, it is evaluated as a SQL predicate
+        answer.$containedBy = arr.map(transformer);
 
         break;
       }
@@ -348,6 +342,58 @@ function transformConstraint(constraint, field, count = false) {
         } else if (search.$diacriticSensitive) {
           answer[key].$diacriticSensitive = search.$diacriticSensitive;
         }
+        // Oracle Text extensions, words match with typos, by their stem or as they sound
+        if (
+          search.$fuzzy &&
+          typeof search.$fuzzy !== 'boolean' &&
+          (typeof search.$fuzzy !== 'object' || Array.isArray(search.$fuzzy))
+        ) {
+          throw new Parse.Error(
+            Parse.Error.INVALID_JSON,
+            `bad $text: $fuzzy, should be boolean or object`
+          );
+        } else if (typeof search.$fuzzy === 'object') {
+          const { $similarity, $expansions } = search.$fuzzy;
+          if (
+            $similarity !== undefined &&
+            (!Number.isInteger($similarity) || $similarity < 1 || $similarity > 80)
+          ) {
+            throw new Parse.Error(
+              Parse.Error.INVALID_JSON,
+              `bad $text: $fuzzy.$similarity, should be an integer from 1 to 80`
+            );
+          }
+          if (
+            $expansions !== undefined &&
+            (!Number.isInteger($expansions) || $expansions < 1 || $expansions > 5000)
+          ) {
+            throw new Parse.Error(
+              Parse.Error.INVALID_JSON,
+              `bad $text: $fuzzy.$expansions, should be an integer from 1 to 5000`
+            );
+          }
+          answer[key].$fuzzy = { $similarity, $expansions };
+        } else if (search.$fuzzy) {
+          answer[key].$fuzzy = {};
+        }
+        if (search.$stem && typeof search.$stem !== 'boolean') {
+          throw new Parse.Error(Parse.Error.INVALID_JSON, `bad $text: $stem, should be boolean`);
+        } else if (search.$stem) {
+          answer[key].$stem = search.$stem;
+        }
+        if (search.$soundex && typeof search.$soundex !== 'boolean') {
+          throw new Parse.Error(Parse.Error.INVALID_JSON, `bad $text: $soundex, should be boolean`);
+        } else if (search.$soundex) {
+          answer[key].$soundex = search.$soundex;
+        }
+        if (
+          [answer[key].$fuzzy, answer[key].$stem, answer[key].$soundex].filter(Boolean).length > 1
+        ) {
+          throw new Parse.Error(
+            Parse.Error.INVALID_JSON,
+            `bad $text: only one of $fuzzy, $stem and $soundex can be used`
+          );
+        }
         break;
       }
       case '$nearSphere': {
@@ -719,9 +765,6 @@ function transformQueryKeyValue(className, key, value, schema, count = false) {
   // Handle query constraints
   const transformedConstraint = transformConstraint(value, field, count);
   if (transformedConstraint !== CannotTransform) {
-    if (transformedConstraint.$text) {
-      return { key: '$text', value: transformedConstraint.$text };
-    }
     if (transformedConstraint.$elemMatch) {
       return { key: '$nor', value: [{ [key]: transformedConstraint }] };
     }
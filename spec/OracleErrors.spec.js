@@ -0,0 +1,60 @@
+'use strict';
+
+const Parse = require('parse/node').Parse;
+const {
+  translateError,
+  uniqueIndexFromError,
+} = require('../lib/Adapters/Storage/Oracle/OracleErrors');
+
+describe('translateError', () => {
+  const translate = message => translateError(new Error(message));
+
+  it('translates database, client and driver errors to Parse errors', () => {
+    expect(translate('ORA-00001: unique constraint (ADMIN.IDX) violated').code).toBe(
+      Parse.Error.DUPLICATE_VALUE
+    );
+    expect(translate('ORA-01013: user requested cancel of current operation').code).toBe(
+      Parse.Error.TIMEOUT
+    );
+    expect(translate('DPI-1067: call timeout of 100 ms exceeded').code).toBe(Parse.Error.TIMEOUT);
+    expect(translate('ORA-40597: JSON path expression syntax error').code).toBe(
+      Parse.Error.INVALID_QUERY
+    );
+    expect(translate('ORA-00942: table or view does not exist').code).toBe(
+      Parse.Error.OBJECT_NOT_FOUND
+    );
+    expect(translate('NJS-500: connection to the Oracle Database was broken').code).toBe(
+      Parse.Error.CONNECTION_FAILED
+    );
+  });
+
+  it('keeps the original error as underlyingError', () => {
+    const error = new Error('ORA-12541: TNS:no listener');
+    const translated = translateError(error);
+    expect(translated).toEqual(jasmine.any(Parse.Error));
+    expect(translated.message).toBe('Could not connect to the database');
+    expect(translated.underlyingError).toBe(error);
+  });
+
+  it('passes other errors on unchanged', () => {
+    const parseError = new Parse.Error(Parse.Error.INVALID_JSON, 'bad');
+    expect(translateError(parseError)).toBe(parseError);
+    const oracleError = new Error('ORA-00600: internal error code');
+    expect(translateError(oracleError)).toBe(oracleError);
+    const other = new Error('something else, ORA-00001 later in the message');
+    expect(translateError(other)).toBe(other);
+    expect(translateError(undefined)).toBeUndefined();
+  });
+});
+
+describe('uniqueIndexFromError', () => {
+  it('reads the owner and name of the violated index', () => {
+    const error = new Error('ORA-00001: unique constraint (ADMIN.test__User_username) violated');
+    expect(uniqueIndexFromError(error)).toEqual({ owner: 'ADMIN', name: 'test__User_username' });
+  });
+
+  it('returns null for other errors', () => {
+    expect(uniqueIndexFromError(new Error('ORA-00942: table or view does not exist'))).toBeNull();
+    expect(uniqueIndexFromError(new Error('ORA-00001: unique constraint violated'))).toBeNull();
+  });
+});
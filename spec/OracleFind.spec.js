@@ -0,0 +1,172 @@
+'use strict';
+
+const Config = require('../lib/Config');
+
+describe_only_db('oracle')('Oracle finds run in SQL', () => {
+  let collection;
+
+  const save = async (className, objects) => {
+    await Parse.Object.saveAll(
+      objects.map(attributes => {
+        const object = new Parse.Object(className);
+        object.set(attributes);
+        return object;
+      })
+    );
+  };
+
+  beforeEach(async () => {
+    await reconfigureServer();
+    // The adapter keeps one collection per class
+    const adapter = Config.get(Parse.applicationId).database.adapter;
+    collection = adapter._adaptiveCollection('Item');
+    spyOn(collection, '_findSQL').and.callThrough();
+  });
+
+  it('finds with $containedBy', async () => {
+    await save('Item', [
+      { name: 'in', numbers: [1, 2] },
+      { name: 'out', numbers: [1, 3] },
+    ]);
+    const results = await new Parse.Query('Item').containedBy('numbers', [1, 2]).find();
+    expect(results.map(item => item.get('name'))).toEqual(['in']);
+    expect(collection._findSQL).toHaveBeenCalled();
+  });
+
+  it('finds with $containedBy on objects only when they are equal', async () => {
+    await save('Item', [
+      { name: 'equal', objects: [{ a: 1 }] },
+      { name: 'superset', objects: [{ a: 1, b: 2 }] },
+    ]);
+    const results = await new Parse.Query('Item').containedBy('objects', [{ a: 1 }]).find();
+    expect(results.map(item => item.get('name'))).toEqual(['equal']);
+  });
+
+  it('finds with $text', async () => {
+    await save('Item', [{ subject: 'coffee and tea' }, { subject: 'orange juice' }]);
+    const results = await new Parse.Query('Item').fullText('subject', 'coffee').find();
+    expect(results.map(item => item.get('subject'))).toEqual(['coffee and tea']);
+    expect(collection._findSQL).toHaveBeenCalled();
+  });
+
+  it('stems English words of $text by default but not with a $language of none', async () => {
+    await save('Item', [{ subject: 'running shoes' }]);
+    const stemmed = await new Parse.Query('Item').fullText('subject', 'run').find();
+    expect(stemmed.length).toBe(1);
+    const exact = await new Parse.Query('Item')
+      .fullText('subject', 'run', { language: 'none' })
+      .find();
+    expect(exact.length).toBe(0);
+  });
+
+  it('finds with $text and $fuzzy', async () => {
+    await save('Item', [{ subject: 'coffee and tea' }, { subject: 'orange juice' }]);
+    const where = { subject: { $text: { $search: { $term: 'cofee', $fuzzy: true } } } };
+    const results = await new Parse.Query('Item').withJSON({ where }).find();
+    expect(results.map(item => item.get('subject'))).toEqual(['coffee and tea']);
+  });
+
+  it('finds a username case-insensitively', async () => {
+    await Parse.User.signUp('Alice', 'password');
+    await Parse.User.logOut();
+    await expectAsync(Parse.User.signUp('alice', 'password')).toBeRejectedWith(
+      new Parse.Error(Parse.Error.USERNAME_TAKEN, 'Account already exists for this username.')
+    );
+  });
+
+  it('returns only the requested keys from the database', async () => {
+    await save('Item', [{ name: 'one', other: 'dropped', nested: { a: 1, b: 2 } }]);
+    const docs = await collection.find({}, { keys: ['name', 'nested.a'] });
+    expect(docs).toEqual([{ name: 'one', nested: { a: 1 } }]);
+    expect(collection._findSQL).toHaveBeenCalled();
+  });
+
+  it('selects keys of a geo query', async () => {
+    await save('Item', [
+      { name: 'near', location: new Parse.GeoPoint(10, 10) },
+      { name: 'far', location: new Parse.GeoPoint(50, 50) },
+    ]);
+    const results = await new Parse.Query('Item')
+      .withinKilometers('location', new Parse.GeoPoint(10, 10.5), 100)
+      .select('name')
+      .find();
+    expect(results.map(item => item.get('name'))).toEqual(['near']);
+    expect(results[0].get('location')).toBeUndefined();
+    expect(collection._findSQL).toHaveBeenCalled();
+  });
+
+  it('does not expand excluded words of $text', async () => {
+    await save('Item', [
+      { name: 'coffee', subject: 'coffee' },
+      { name: 'running', subject: 'coffee running' },
+      { name: 'run', subject: 'coffee run' },
+    ]);
+    const where = { subject: { $text: { $search: { $term: 'coffee -run', $stem: true } } } };
+    const results = await new Parse.Query('Item').withJSON({ where }).find();
+    expect(results.map(item => item.get('name')).sort()).toEqual(['coffee', 'running']);
+  });
+
+  it('explains a find', async () => {
+    await save('Item', [{ name: 'one' }]);
+    const query = new Parse.Query('Item').equalTo('name', 'one');
+    query.explain();
+    const explain = await query.find({ useMasterKey: true });
+    expect(explain.queryPlanner.sql).toMatch(/^SELECT /);
+    expect(explain.queryPlanner.winningPlan.length).toBeGreaterThan(0);
+  });
+
+  it('explains a find with executionStats', async () => {
+    await save('Item', [{ name: 'one' }, { name: 'two' }]);
+    const adapter = Config.get(Parse.applicationId).database.adapter;
+    const explain = await adapter.find(
+      'Item',
+      { fields: { name: { type: 'String' } } },
+      { name: 'one' },
+      { explain: 'executionStats' }
+    );
+    expect(explain.queryPlanner.sql).toMatch(/^SELECT /);
+    expect(explain.executionStats.nReturned).toBe(1);
+    expect(explain.executionStats.plan.length).toBeGreaterThan(0);
+  });
+
+  it('explains an aggregate', async () => {
+    await save('Item', [{ name: 'one' }]);
+    const adapter = Config.get(Parse.applicationId).database.adapter;
+    const explain = await adapter.aggregate(
+      'Item',
+      { fields: { name: { type: 'String' } } },
+      [{ $match: { name: 'one' } }],
+      undefined,
+      undefined,
+      true
+    );
+    expect(explain.queryPlanner.sql).toContain('JSON_SERIALIZE');
+    expect(explain.queryPlanner.winningPlan.length).toBeGreaterThan(0);
+  });
+
+  it('runs distinct with $containedBy', async () => {
+    await save('Item', [
+      { name: 'a', numbers: [1, 2] },
+      { name: 'b', numbers: [1, 3] },
+      { name: 'c', numbers: [2] },
+    ]);
+    const names = await new Parse.Query('Item')
+      .containedBy('numbers', [1, 2])
+      .distinct('name', { useMasterKey: true });
+    expect(names.sort()).toEqual(['a', 'c']);
+    expect(collection._findSQL).toHaveBeenCalled();
+  });
+
+  it('ends a find that runs longer than maxTimeMS with TIMEOUT', async () => {
+    collection._findSQL.and.callFake(async conn => {
+      await conn.execute('BEGIN DBMS_SESSION.SLEEP(5); END;');
+      return [];
+    });
+    await expectAsync(collection.find({}, { keys: ['name'], maxTimeMS: 200 })).toBeRejectedWith(
+      new Parse.Error(Parse.Error.TIMEOUT, 'Query exceeded maxTimeMS')
+    );
+    // The timed out connection is not given to the next find
+    collection._findSQL.and.callThrough();
+    expect(await collection.find({}, { keys: ['name'] })).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const Config = require('../lib/Config');
+const { OracleStorageAdapter } = require('../lib/Adapters/Storage/Oracle/OracleStorageAdapter');
+
+const schema = {
+  fields: {
+    objectId: { type: 'String' },
+    expiresAt: { type: 'Date' },
+    name: { type: 'String' },
+    score: { type: 'Number' },
+  },
+};
+
+describe_only_db('oracle')('Oracle indexes', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    await reconfigureServer();
+    adapter = Config.get(Parse.applicationId).database.adapter;
+    await adapter.createObject('IndexClass', schema, {
+      objectId: 'first',
+      name: 'Alice',
+      expiresAt: { __type: 'Date', iso: new Date().toISOString() },
+    });
+  });
+
+  it('creates, lists and drops a TTL index', async () => {
+    await adapter.createIndexes(
+      'IndexClass',
+      [{ key: { expiresAt: 1 }, name: 'expires_ttl', expireAfterSeconds: 60 }],
+      schema.fields
+    );
+    const indexes = await adapter.getIndexes('IndexClass');
+    expect(indexes).toContain({ expires_ttl: { expiresAt: 1 }, expireAfterSeconds: 60 });
+
+    await adapter.dropIndex('IndexClass', 'expires_ttl');
+    const remaining = await adapter.getIndexes('IndexClass');
+    expect(remaining.map(index => Object.keys(index)[0])).not.toContain('expires_ttl');
+    const collection = adapter._adaptiveCollection('IndexClass');
+    const { conn } = await collection.getCollectionConnection();
+    try {
+      expect(await collection._expiryPolicies(conn)).toEqual([]);
+    } finally {
+      await collection._closeConnection(conn);
+    }
+  });
+
+  it('creates a BINARY_CI index that caseInsensitive finds compare with', async () => {
+    await adapter.ensureIndex('IndexClass', schema, ['name'], 'name_ci', true);
+    const collection = adapter._adaptiveCollection('IndexClass');
+    const { conn } = await collection.getCollectionConnection();
+    try {
+      const result = await conn.execute(
+        'SELECT COLUMN_EXPRESSION FROM USER_IND_EXPRESSIONS WHERE INDEX_NAME = :name',
+        { name: 'name_ci' + collection._name }
+      );
+      expect(result.rows.length).toBe(1);
+      expect(result.rows[0][0]).toContain('BINARY_CI');
+    } finally {
+      await collection._closeConnection(conn);
+    }
+    const objects = await adapter.find(
+      'IndexClass',
+      schema,
+      { name: 'ALICE' },
+      {
+        caseInsensitive: true,
+      }
+    );
+    expect(objects.map(object => object.objectId)).toEqual(['first']);
+  });
+
+  it('creates non-unique compound indexes and unique indexes', async () => {
+    await adapter.createIndexes(
+      'IndexClass',
+      [
+        { key: { name: 1, score: -1 }, name: 'name_score' },
+        { key: { score: 1 }, name: 'score_unique', unique: true },
+      ],
+      schema.fields
+    );
+    // Only the unique index rejects a duplicate
+    await adapter.createObject('IndexClass', schema, {
+      objectId: 'second',
+      name: 'Alice',
+      score: 1,
+    });
+    await expectAsync(
+      adapter.createObject('IndexClass', schema, { objectId: 'third', name: 'Bob', score: 1 })
+    ).toBeRejectedWith(jasmine.objectContaining({ code: Parse.Error.DUPLICATE_VALUE }));
+  });
+
+  it('reads the index names and keys from the database', async () => {
+    await adapter.createIndexes(
+      'IndexClass',
+      [{ key: { name: 1, score: -1 }, name: 'name_score' }],
+      schema.fields
+    );
+    await adapter.ensureIndex('IndexClass', schema, ['name'], 'name_ci', true);
+    // A restarted server has nothing in memory
+    const restarted = new OracleStorageAdapter({
+      databaseURI: adapter._uri,
+      collectionPrefix: adapter._collectionPrefix,
+      poolAlias: 'restartedIndexes',
+    });
+    try {
+      const indexes = await restarted.getIndexes('IndexClass');
+      expect(indexes).toContain({ _id_: { _id: 1 } });
+      expect(indexes).toContain({ name_score: { name: 1, score: -1 } });
+      expect(indexes).toContain({ name_ci: { name: 1 } });
+    } finally {
+      await restarted.handleShutdown();
+    }
+  });
+
+  it('purges the expired objects when the job of a TTL index runs', async () => {
+    const past = new Date(Date.now() - 3600 * 1000).toISOString();
+    const future = new Date(Date.now() + 3600 * 1000).toISOString();
+    await adapter.createObject('IndexClass', schema, {
+      objectId: 'expired',
+      expiresAt: { __type: 'Date', iso: past },
+    });
+    await adapter.createObject('IndexClass', schema, {
+      objectId: 'current',
+      expiresAt: { __type: 'Date', iso: future },
+    });
+    await adapter.createIndexes(
+      'IndexClass',
+      [{ key: { expiresAt: 1 }, name: 'expires_ttl', expireAfterSeconds: 0 }],
+      schema.fields
+    );
+    const collection = adapter._adaptiveCollection('IndexClass');
+    const { conn } = await collection.getCollectionConnection();
+    try {
+      await conn.execute('BEGIN DBMS_SCHEDULER.RUN_JOB(:name); END;', {
+        name: collection._expiryJobName('expires_ttl'),
+      });
+    } finally {
+      await collection._closeConnection(conn);
+    }
+    const objects = await adapter.find('IndexClass', schema, {}, {});
+    // first expired when it was created
+    expect(objects.map(object => object.objectId)).toEqual(['current']);
+    await adapter.dropIndex('IndexClass', 'expires_ttl');
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const Parse = require('parse/node').Parse;
+const {
+  caseInsensitiveSQL,
+  transformWhereToSQL,
+  transformPipelineToSQL,
+  transformUpdateToSQL,
+} = require('../lib/Adapters/Storage/Oracle/OracleSQL');
+
+describe('transformPipelineToSQL', () => {
+  it('compiles $match, $group, $sort and $limit into nested queries', () => {
+    const binds = {};
+    const sql = transformPipelineToSQL(
+      [
+        { $match: { score: { $gt: 1 } } },
+        { $group: { _id: '$name', total: { $sum: '$score' }, count: { $sum: 1 } } },
+        { $sort: { total: -1 } },
+        { $limit: 2 },
+      ],
+      'T',
+      { score: 'number', name: 'string' },
+      'JSON',
+      binds
+    );
+    expect(sql).toMatch(/^SELECT JSON_SERIALIZE\(doc RETURNING CLOB\) AS doc FROM \(/);
+    expect(sql).toContain(`FROM T t) WHERE JSON_EXISTS(doc, '$."score"?(@ > 1)')`);
+    expect(sql).toContain(
+      `'total' VALUE NVL(SUM(JSON_VALUE(doc, '$."score"' RETURNING NUMBER)), 0)`
+    );
+    expect(sql).toContain(`'count' VALUE COUNT(*) * 1`);
+    expect(sql).toContain(`GROUP BY JSON_VALUE(doc, '$."name"' RETURNING VARCHAR2(4000))`);
+    expect(sql).toContain(`ORDER BY JSON_VALUE(doc, '$."total"' RETURNING NUMBER) DESC NULLS LAST`);
+    expect(sql).toContain('ORDER BY rn FETCH FIRST 2 ROWS ONLY');
+    expect(binds).toEqual({});
+  });
+
+  it('compiles $project with a date operator', () => {
+    const sql = transformPipelineToSQL(
+      [{ $project: { _id: 0, name: 1, year: { $year: '$createdAt' } } }],
+      'T',
+      { createdAt: 'date' },
+      'JSON',
+      {}
+    );
+    expect(sql).toContain(
+      `JSON_TRANSFORM(doc, SET '$."year"' = EXTRACT(YEAR FROM JSON_VALUE(doc, '$."createdAt"' RETURNING TIMESTAMP)), KEEP '$."name"', '$."year"')`
+    );
+  });
+
+  it('compiles $count with the type of the content column', () => {
+    const sql = transformPipelineToSQL([{ $count: 'total' }], 'T', {}, 'BLOB', {});
+    expect(sql).toContain(
+      `JSON_OBJECT('total' VALUE COUNT(*) RETURNING BLOB) AS doc, 1 AS rn FROM (SELECT t.JSON_DOCUMENT AS doc, ROWNUM AS rn FROM T t) HAVING COUNT(*) > 0`
+    );
+  });
+
+  it('binds string literals', () => {
+    const binds = {};
+    const sql = transformPipelineToSQL(
+      [{ $group: { _id: null, labels: { $push: 'label' } } }],
+      'T',
+      {},
+      'JSON',
+      binds
+    );
+    expect(sql).toContain('JSON_ARRAYAGG(:b0 ORDER BY rn RETURNING JSON)');
+    expect(binds).toEqual({ b0: 'label' });
+  });
+
+  it('rejects unsupported stages and accumulators', () => {
+    expect(() => transformPipelineToSQL([{ $lookup: {} }], 'T', {}, 'JSON', {})).toThrow(
+      new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        'Aggregate stage $lookup is not supported by the Oracle Storage Adapter'
+      )
+    );
+    expect(() =>
+      transformPipelineToSQL(
+        [{ $group: { _id: null, all: { $addToSet: '$name' } } }],
+        'T',
+        {},
+        'JSON',
+        {}
+      )
+    ).toThrow(
+      new Parse.Error(Parse.Error.INVALID_QUERY, 'Unsupported aggregate accumulator $addToSet')
+    );
+  });
+});
+
+describe('transformUpdateToSQL', () => {
+  it('increments from the stored value in the same statement', () => {
+    const binds = {};
+    const sql = transformUpdateToSQL({ $inc: { score: 2 }, $unset: { old: '' } }, binds, {
+      returning: 'JSON',
+    });
+    expect(sql).toBe(
+      `JSON_TRANSFORM(JSON_DOCUMENT, SET '$."score"' = NVL(JSON_VALUE(JSON_DOCUMENT, '$."score"' RETURNING NUMBER), 0) + :b0, REMOVE '$."old"' RETURNING JSON)`
+    );
+    expect(binds).toEqual({ b0: 2 });
+  });
+
+  it('appends the items of $push to the stored array', () => {
+    const binds = {};
+    const sql = transformUpdateToSQL({ $push: { tags: { $each: ['a'] } } }, binds, {
+      returning: 'BLOB',
+    });
+    expect(sql).toBe(
+      `JSON_TRANSFORM(JSON_DOCUMENT, APPEND '$."tags"' = :b0 FORMAT JSON CREATE ON MISSING RETURNING BLOB)`
+    );
+    expect(binds).toEqual({ b0: '"a"' });
+  });
+
+  it('keeps the items of the stored array that $pullAll does not remove', () => {
+    const binds = {};
+    const sql = transformUpdateToSQL({ $pullAll: { tags: ['a'] } }, binds, { returning: 'JSON' });
+    expect(sql).toContain(
+      `FROM JSON_TABLE(JSON_DOCUMENT, '$."tags"[*]' COLUMNS (idx FOR ORDINALITY, item CLOB FORMAT JSON PATH '$')) WHERE NOT (JSON_EQUAL(item, :b0))`
+    );
+    expect(sql).toContain('IGNORE ON MISSING');
+    expect(binds).toEqual({ b0: '"a"' });
+  });
+});
+
+describe('caseInsensitiveSQL', () => {
+  it('compares the BINARY_CI collation keys of strings', () => {
+    const binds = {};
+    const sql = transformWhereToSQL(
+      { email: 'Alice@Example.com', _rperm: { $in: ['*'] } },
+      binds,
+      'JSON_DOCUMENT',
+      true
+    );
+    expect(caseInsensitiveSQL('JSON_DOCUMENT', 'email')).toBe(
+      `NLSSORT(JSON_VALUE(JSON_DOCUMENT, '$."email"' RETURNING VARCHAR2(2000)), 'NLS_SORT=BINARY_CI')`
+    );
+    expect(sql).toContain(
+      `${caseInsensitiveSQL('JSON_DOCUMENT', 'email')} = NLSSORT(:b0, 'NLS_SORT=BINARY_CI')`
+    );
+    // Permissions are compared as they are
+    expect(sql).toContain(
+      `JSON_EXISTS(JSON_DOCUMENT, '$."_rperm"?(@ == $b1)' PASSING :b1 AS "b1")`
+    );
+    expect(binds).toEqual({ b0: 'Alice@Example.com', b1: '*' });
+  });
+});
+
+describe('$text', () => {
+  const containsQuery = search => {
+    const binds = {};
+    expect(transformWhereToSQL({ subject: { $text: search } }, binds)).toBe(
+      'CONTAINS(JSON_DOCUMENT, :b0, 1) > 0'
+    );
+    return binds.b0;
+  };
+
+  it('stems English words by default', () => {
+    expect(containsQuery({ $search: 'coffee tea' })).toBe('(($coffee OR $tea) INPATH (/subject))');
+    expect(containsQuery({ $search: 'coffee tea', $language: 'none' })).toBe(
+      '(({coffee} OR {tea}) INPATH (/subject))'
+    );
+  });
+
+  it('matches all phrases and excludes -words', () => {
+    expect(containsQuery({ $search: 'coffee "green tea" -milk' })).toBe(
+      '(({green tea} INPATH (/subject))) NOT (({milk}) INPATH (/subject))'
+    );
+  });
+
+  it('expands the words searched for with $fuzzy or $soundex, not the excluded ones', () => {
+    expect(containsQuery({ $search: 'cofee -run', $fuzzy: true })).toBe(
+      '(((FUZZY(cofee, 60, 100, weight)) INPATH (/subject))) NOT (({run}) INPATH (/subject))'
+    );
+    expect(containsQuery({ $search: 'cofee', $fuzzy: { $similarity: 80, $expansions: 5 } })).toBe(
+      '((FUZZY(cofee, 80, 5, weight)) INPATH (/subject))'
+    );
+    expect(containsQuery({ $search: 'coffee -tea', $soundex: true })).toBe(
+      '(((!coffee) INPATH (/subject))) NOT (({tea}) INPATH (/subject))'
+    );
+  });
+
+  it('rejects an unsupported $language', () => {
+    expect(() => containsQuery({ $search: 'coffee', $language: 'klingon' })).toThrow(
+      new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        '$language klingon is not supported by the Oracle Storage Adapter, only english and none are'
+      )
+    );
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const Config = require('../lib/Config');
+
+const schema = {
+  fields: {
+    objectId: { type: 'String' },
+    items: { type: 'Array' },
+  },
+};
+
+const pointer = objectId => ({ __type: 'Pointer', className: 'Item', objectId });
+
+describe_only_db('oracle')('Oracle array update operators', () => {
+  let adapter;
+
+  const update = async (object, items) => {
+    await adapter.createObject('ArrayClass', schema, object);
+    const result = await adapter.findOneAndUpdate(
+      'ArrayClass',
+      schema,
+      { objectId: object.objectId },
+      { items }
+    );
+    return result.items;
+  };
+
+  beforeEach(async () => {
+    await reconfigureServer();
+    adapter = Config.get(Parse.applicationId).database.adapter;
+  });
+
+  it('creates a missing array with Add', async () => {
+    const items = await update({ objectId: 'add' }, { __op: 'Add', objects: [1, 2] });
+    expect(items).toEqual([1, 2]);
+  });
+
+  it('appends every item of $each with Add, duplicates included', async () => {
+    const items = await update(
+      { objectId: 'addEach', items: [1] },
+      { __op: 'Add', objects: [1, { a: 1 }, pointer('p1')] }
+    );
+    expect(items).toEqual([1, 1, { a: 1 }, pointer('p1')]);
+  });
+
+  it('creates a missing array with AddUnique', async () => {
+    const items = await update(
+      { objectId: 'addUnique' },
+      { __op: 'AddUnique', objects: [1, 1, 2] }
+    );
+    expect(items).toEqual([1, 2]);
+  });
+
+  it('does not add duplicate objects with AddUnique', async () => {
+    const items = await update(
+      { objectId: 'addUniqueObjects', items: [{ a: 1 }] },
+      { __op: 'AddUnique', objects: [{ a: 1 }, { b: 2 }, { b: 2 }] }
+    );
+    expect(items).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  it('adds an object with AddUnique when the array only has a superset of it', async () => {
+    const items = await update(
+      { objectId: 'addUniqueSuperset', items: [{ a: 1, b: 2 }] },
+      { __op: 'AddUnique', objects: [{ a: 1 }] }
+    );
+    expect(items).toEqual([{ a: 1, b: 2 }, { a: 1 }]);
+  });
+
+  it('does not add duplicate pointers with AddUnique', async () => {
+    const items = await update(
+      { objectId: 'addUniquePointers', items: [pointer('p1')] },
+      { __op: 'AddUnique', objects: [pointer('p1'), pointer('p2')] }
+    );
+    expect(items).toEqual([pointer('p1'), pointer('p2')]);
+  });
+
+  it('removes objects and pointers with Remove', async () => {
+    const items = await update(
+      { objectId: 'remove', items: [{ a: 1 }, pointer('p1'), { b: 2 }, 1, pointer('p2')] },
+      { __op: 'Remove', objects: [{ a: 1 }, pointer('p2'), 1] }
+    );
+    expect(items).toEqual([pointer('p1'), { b: 2 }]);
+  });
+
+  it('only removes equal objects with Remove, not supersets of them', async () => {
+    const items = await update(
+      { objectId: 'removeSuperset', items: [{ a: 1, b: 2 }, { a: 1 }, { a: 1, c: 3 }] },
+      { __op: 'Remove', objects: [{ a: 1 }] }
+    );
+    expect(items).toEqual([
+      { a: 1, b: 2 },
+      { a: 1, c: 3 },
+    ]);
+  });
+
+  it('leaves a missing array missing with Remove', async () => {
+    const items = await update({ objectId: 'removeMissing' }, { __op: 'Remove', objects: [1] });
+    expect(items).toBeUndefined();
+  });
+
+  it('leaves the array missing when an upsert with Remove inserts', async () => {
+    await adapter.upsertOneObject(
+      'ArrayClass',
+      schema,
+      { objectId: 'upsertRemove' },
+      { items: { __op: 'Remove', objects: [1] } }
+    );
+    const [object] = await adapter.find('ArrayClass', schema, { objectId: 'upsertRemove' }, {});
+    expect(object.items).toBeUndefined();
+  });
+
+  it('applies Add, AddUnique and Increment when an upsert inserts', async () => {
+    const countSchema = {
+      fields: { ...schema.fields, unique: { type: 'Array' }, count: { type: 'Number' } },
+    };
+    await adapter.upsertOneObject(
+      'ArrayClass',
+      countSchema,
+      { objectId: 'upsertAdd' },
+      {
+        items: { __op: 'Add', objects: [1, 1] },
+        unique: { __op: 'AddUnique', objects: [2, 2] },
+        count: { __op: 'Increment', amount: 3 },
+      }
+    );
+    const [object] = await adapter.find('ArrayClass', countSchema, { objectId: 'upsertAdd' }, {});
+    expect(object.items).toEqual([1, 1]);
+    expect(object.unique).toEqual([2]);
+    expect(object.count).toBe(3);
+  });
+});